@@ -0,0 +1,63 @@
+// region imports
+
+import {CompareEntry} from "./CompareEntry";
+import {Portion} from "./Portion";
+import {FoodEntry} from "./FoodEntry";
+
+// endregion
+
+// region exports
+
+/**
+ * An entry on the confirm page: a recognized food together with the details the user can add
+ * before the entry is saved to the history.
+ */
+export class ConfirmEntry {
+  // region private variables
+
+  private readonly m_compareEntry: CompareEntry;
+
+  private m_portion: Portion | null = null;
+
+  // endregion
+
+  // region public methods
+
+  constructor(compareEntry: CompareEntry) {
+    this.m_compareEntry = compareEntry;
+  }
+
+  // endregion
+
+  // region public properties
+
+  get compareEntry(): CompareEntry {
+    return this.m_compareEntry;
+  }
+
+  /**
+   * The name of the food as entered by the user.
+   */
+  get original(): string {
+    return this.m_compareEntry.original;
+  }
+
+  get food(): FoodEntry {
+    return this.m_compareEntry.food;
+  }
+
+  /**
+   * The consumed amount, null if the user did not enter a portion.
+   */
+  get portion(): Portion | null {
+    return this.m_portion;
+  }
+
+  set portion(value: Portion | null) {
+    this.m_portion = value;
+  }
+
+  // endregion
+}
+
+// endregion
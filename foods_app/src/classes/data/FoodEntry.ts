@@ -1,4 +1,11 @@
 import {Text} from '../support/Text';
+import {FoodOrigin} from '../../types/FoodOrigin';
+
+// region local constants
+
+const UNKNOWN_CATEGORY: string = 'unknown food';
+
+// endregion
 
 class FoodEntry {
   // region private variables
@@ -9,11 +16,22 @@ class FoodEntry {
 
   private readonly m_synonyms: string[];
 
+  private readonly m_origin: FoodOrigin;
+
   // endregion
 
   // region public methods
 
-  constructor(row: string[]) {
+  /**
+   * Creates a food entry from a row of the food data.
+   *
+   * @param row
+   *   Name, category and optionally synonyms.
+   * @param origin
+   *   Where the food originates from.
+   */
+  constructor(row: string[], origin: FoodOrigin = FoodOrigin.Catalog) {
+    this.m_origin = origin;
     this.m_name = Text.normalizeName(row[0]);
     this.m_category = Text.normalizeName(row[1]);
     this.m_synonyms = (row.length > 2 ? row[2] : '')
@@ -24,6 +42,18 @@ class FoodEntry {
       .filter(Boolean);
   }
 
+  /**
+   * Creates a food entry for a food that is no longer part of the food data (for example because
+   * it was renamed or removed). This is used to keep history entries that refer to the food.
+   *
+   * @param name
+   *
+   * @return A food entry with the given name and an 'unknown food' category.
+   */
+  static createUnknown(name: string): FoodEntry {
+    return new FoodEntry([name, UNKNOWN_CATEGORY], FoodOrigin.Unknown);
+  }
+
   // endregion
 
   // region public properties
@@ -40,6 +70,24 @@ class FoodEntry {
     return this.m_synonyms;
   }
 
+  get origin() {
+    return this.m_origin;
+  }
+
+  /**
+   * True if the food is not part of the food data.
+   */
+  get isUnknown() {
+    return this.m_origin === FoodOrigin.Unknown;
+  }
+
+  /**
+   * True if the food was created by the user.
+   */
+  get isCustom() {
+    return this.m_origin === FoodOrigin.Custom;
+  }
+
   // endregion
 }
 
@@ -1,19 +1,11 @@
 // region imports
 
 import {FoodEntry} from "./FoodEntry";
-import {CompareEntry} from "./CompareEntry";
+import {ConfirmEntry} from "./ConfirmEntry";
+import {Portion} from "./Portion";
+import {Meal} from "../../types/Meal";
 import {foodData} from "../../singletons/data/foodData";
-
-// endregion
-
-// region local types
-
-// used for storing and retrieving history entries as strings
-type StorageData = {
-  foodName: string;
-  consumedName: string;
-  date: string;
-}
+import {HistoryStorageData} from "../../types/HistoryStorageData";
 
 // endregion
 
@@ -28,59 +20,116 @@ export class HistoryEntry {
 
   private readonly m_date: Date;
 
+  private readonly m_portion: Portion | null;
+
+  private readonly m_meal: Meal | null;
+
+  private m_id: number | null;
+
   // endregion
 
   // region public methods
 
   /**
-   * Creates a new history entry from the given compare entry. The date of the history entry is set
-   * to the current date and time.
+   * Creates a new history entry from the given confirm entry.
    *
-   * @param compareEntry
+   * @param confirmEntry
+   * @param date
+   *   The date and time the food was consumed, defaults to the current date and time.
+   * @param meal
+   *   The meal the food was part of.
    *
-   * @return A new history entry with the food and original name from the compare entry,
-   *   and the current date.
+   * @return A new history entry with the food, original name and portion from the confirm entry,
+   *   and the date and meal.
    */
-  static createFromInput(compareEntry: CompareEntry): HistoryEntry
+  static createFromInput(
+    confirmEntry: ConfirmEntry, date: Date = new Date(), meal: Meal | null = null
+  ): HistoryEntry
   {
-    return new HistoryEntry(compareEntry.food, compareEntry.original, new Date());
+    return new HistoryEntry(
+      confirmEntry.food, confirmEntry.original, date, confirmEntry.portion, meal
+    );
   }
 
   /**
-   * Creates a new history entry from the given storage data string. The storage data string should
-   * be a JSON string that contains the food name, the consumed name, and the date in ISO format.
+   * Creates a new history entry from the given storage data. The storage data contains the food
+   * name, the consumed name, the date in ISO format, the portion, the meal and optionally the id.
    * The food entry is looked up from the food data using the food name. If the food entry is
-   * not found, an error is thrown. The date is parsed from the ISO string.
+   * not found (because the food was renamed or removed), an unknown food entry is used. The date
+   * is parsed from the ISO string.
    *
-   * @param data
+   * @param storageData
    *
-   * @return A new history entry with the food, consumed name, and date from the storage data.
+   * @return A new history entry with the food, consumed name, date, portion, meal and id from the
+   *   storage data.
    */
-  static createFromStorage(data: string): HistoryEntry
+  static createFromStorageData(storageData: HistoryStorageData): HistoryEntry
   {
-    const storageData: StorageData = JSON.parse(data);
-    const food = foodData.findForName(storageData.foodName);
-    if (food == null) {
-      throw new Error(`Food with name "${storageData.foodName}" not found in food data.`);
-    }
-    return new HistoryEntry(food, storageData.consumedName, new Date(storageData.date));
+    const food = foodData.findForName(storageData.foodName)
+      ?? foodData.getUnknownFood(storageData.foodName);
+    return new HistoryEntry(
+      food,
+      storageData.consumedName,
+      new Date(storageData.date),
+      Portion.createFromStorageData(storageData.portion),
+      storageData.meal,
+      storageData.id ?? null
+    );
   }
 
   /**
-   * Converts this history entry to a JSON string that can be stored in local storage.
-   * The JSON string contains the food name, the consumed name, and the date in ISO format.
+   * Creates a copy of this history entry that refers to another food.
+   *
+   * @param food
    *
-   * Use {@link createFromStorage} to convert the JSON string back to a history entry.
+   * @return A new history entry with the given food and the other values of this entry.
+   */
+  withFood(food: FoodEntry): HistoryEntry {
+    return new HistoryEntry(
+      food, this.m_consumedName, this.m_date, this.m_portion, this.m_meal, this.m_id
+    );
+  }
+
+  /**
+   * Creates a copy of this history entry with another date.
+   *
+   * @param date
+   *
+   * @return A new history entry with the given date and the other values of this entry.
+   */
+  withDate(date: Date): HistoryEntry {
+    return new HistoryEntry(
+      this.m_food, this.m_consumedName, date, this.m_portion, this.m_meal, this.m_id
+    );
+  }
+
+  /**
+   * Converts this history entry to a JSON string. The JSON string contains the food name, the
+   * consumed name, the date in ISO format, the portion and the meal; it does not contain the id.
+   * Entries with the same JSON string are considered duplicates.
    *
-   * @return A JSON string representation of this history entry that can be stored in local storage.
+   * @return A JSON string representation of this history entry.
    */
   toJson(): string {
-    const data: StorageData = {
+    return JSON.stringify(this.toStorageData());
+  }
+
+  /**
+   * Converts this history entry to storage data.
+   *
+   * Use {@link createFromStorageData} to convert the data back to a history entry.
+   *
+   * @return The food name, the consumed name, the date in ISO format, the portion and the meal.
+   *   The id is not included.
+   */
+  toStorageData(): HistoryStorageData {
+    return {
       foodName: this.m_food.name,
       consumedName: this.m_consumedName,
-      date: this.m_date.toISOString()
+      date: this.m_date.toISOString(),
+      portion: this.m_portion?.toStorageData() ?? null,
+      meal: this.m_meal
     };
-    return JSON.stringify(data);
   }
 
   // endregion
@@ -99,24 +148,62 @@ export class HistoryEntry {
     return this.m_date;
   }
 
+  /**
+   * The consumed amount, null if no portion was entered.
+   */
+  get portion(): Portion | null {
+    return this.m_portion;
+  }
+
+  /**
+   * The meal the food was part of, null if no meal was selected.
+   */
+  get meal(): Meal | null {
+    return this.m_meal;
+  }
+
+  /**
+   * The key of the entry in the storage, null if the entry has not been stored yet.
+   */
+  get id(): number | null {
+    return this.m_id;
+  }
+
+  set id(value: number | null) {
+    this.m_id = value;
+  }
+
   // endregion
 
   // region private methods
 
   /**
-   * Creates a new history entry with the given food consumed name, and date. This constructor
-   * is private because history entries should only be created using the static factory methods
-   * {@link createFromInput} and {@link createFromStorage}.
+   * Creates a new history entry with the given food, consumed name, date, portion and meal. This
+   * constructor is private because history entries should only be created using the static
+   * factory methods {@link createFromInput} and {@link createFromStorageData}.
    *
    * @param food
    * @param consumedName
    * @param date
+   * @param portion
+   * @param meal
+   * @param id
    *
    * @private
    */
-  private constructor(food: FoodEntry, consumedName: string, date: Date) {
+  private constructor(
+    food: FoodEntry,
+    consumedName: string,
+    date: Date,
+    portion: Portion | null,
+    meal: Meal | null,
+    id: number | null = null
+  ) {
+    this.m_id = id;
     this.m_consumedName = consumedName;
     this.m_date = date;
+    this.m_portion = portion;
+    this.m_meal = meal;
     this.m_food = food;
   }
 
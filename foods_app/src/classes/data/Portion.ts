@@ -0,0 +1,117 @@
+// region imports
+
+import {PortionUnit} from "../../types/PortionUnit";
+import {PortionData} from "../../types/PortionData";
+
+// endregion
+
+// region local constants
+
+/**
+ * The approximate weight in grams of one unit.
+ */
+const GRAMS_PER_UNIT: Record<PortionUnit, number> = {
+  [PortionUnit.Gram]: 1,
+  [PortionUnit.Pinch]: 0.5,
+  [PortionUnit.Teaspoon]: 5,
+  [PortionUnit.Tablespoon]: 15,
+  [PortionUnit.Handful]: 30,
+  [PortionUnit.Serving]: 80,
+};
+
+/**
+ * Singular and plural name of each unit.
+ */
+const UNIT_NAMES: Record<PortionUnit, [string, string]> = {
+  [PortionUnit.Gram]: ['gram', 'grams'],
+  [PortionUnit.Pinch]: ['pinch', 'pinches'],
+  [PortionUnit.Teaspoon]: ['teaspoon', 'teaspoons'],
+  [PortionUnit.Tablespoon]: ['tablespoon', 'tablespoons'],
+  [PortionUnit.Handful]: ['handful', 'handfuls'],
+  [PortionUnit.Serving]: ['serving', 'servings'],
+};
+
+// endregion
+
+// region exports
+
+/**
+ * The amount of a food that was consumed.
+ */
+export class Portion {
+  // region private variables
+
+  private readonly m_amount: number;
+
+  private readonly m_unit: PortionUnit;
+
+  // endregion
+
+  // region public methods
+
+  constructor(amount: number, unit: PortionUnit) {
+    this.m_amount = amount;
+    this.m_unit = unit;
+  }
+
+  /**
+   * Creates a portion from stored data.
+   *
+   * @param data
+   *
+   * @return The portion or null if there is no data.
+   */
+  static createFromStorageData(data: PortionData | null): Portion | null {
+    return data ? new Portion(data.amount, data.unit) : null;
+  }
+
+  /**
+   * Gets the name of a unit.
+   *
+   * @param unit
+   * @param plural
+   */
+  static getUnitName(unit: PortionUnit, plural: boolean): string {
+    return UNIT_NAMES[unit][plural ? 1 : 0];
+  }
+
+  /**
+   * Converts this portion to data that can be stored.
+   */
+  toStorageData(): PortionData {
+    return {
+      amount: this.m_amount,
+      unit: this.m_unit
+    };
+  }
+
+  /**
+   * Gets a description of the portion, for example "2 handfuls".
+   */
+  toString(): string {
+    return `${this.m_amount} ${Portion.getUnitName(this.m_unit, this.m_amount !== 1)}`;
+  }
+
+  // endregion
+
+  // region public properties
+
+  get amount(): number {
+    return this.m_amount;
+  }
+
+  get unit(): PortionUnit {
+    return this.m_unit;
+  }
+
+  /**
+   * The approximate weight of the portion in grams.
+   */
+  get grams(): number {
+    return this.m_amount * GRAMS_PER_UNIT[this.m_unit];
+  }
+
+  // endregion
+}
+
+// endregion
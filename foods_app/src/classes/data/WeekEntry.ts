@@ -15,13 +15,32 @@ export class WeekEntry {
 
   private readonly m_foods: FoodEntry[];
 
+  private readonly m_count: number;
+
+  private readonly m_goal: number;
+
   // endregion
 
   // region public methods
 
-  constructor(startDate: Date, endDate: Date, foods: Set<FoodEntry>) {
+  /**
+   * Constructs a week entry.
+   *
+   * @param startDate
+   * @param endDate
+   * @param foods
+   *   The foods that count towards the goal.
+   * @param count
+   *   The total of the weights of the foods.
+   * @param goal
+   */
+  constructor(
+    startDate: Date, endDate: Date, foods: Set<FoodEntry>, count: number, goal: number
+  ) {
     this.m_startDate = startDate;
     this.m_endDate = endDate;
+    this.m_count = count;
+    this.m_goal = goal;
     this.m_foods = [...foods];
     this.m_foods.sort(
       (first, second) => first.name.localeCompare(second.name)
@@ -41,12 +60,34 @@ export class WeekEntry {
   }
 
   /**
-   * All foods consumed in the week, sorted by name.
+   * All foods consumed in the week that count towards the goal, sorted by name.
    */
   get foods(): FoodEntry[] {
     return this.m_foods;
   }
 
+  /**
+   * The number of points the foods add to the weekly total. This is the number of foods, unless
+   * the foods are weighted by their category in plants counting mode.
+   */
+  get count(): number {
+    return this.m_count;
+  }
+
+  /**
+   * The number of different foods to eat, as it was in effect for the week.
+   */
+  get goal(): number {
+    return this.m_goal;
+  }
+
+  /**
+   * True if enough different foods were consumed in the week.
+   */
+  get isGoalReached(): boolean {
+    return this.m_count >= this.m_goal;
+  }
+
   // endregion
 }
 
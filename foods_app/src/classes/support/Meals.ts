@@ -0,0 +1,54 @@
+// region imports
+
+import {Meal} from "../../types/Meal";
+
+// endregion
+
+// region local constants
+
+const MEAL_NAMES: Record<Meal, string> = {
+  [Meal.Breakfast]: 'Breakfast',
+  [Meal.Lunch]: 'Lunch',
+  [Meal.Dinner]: 'Dinner',
+  [Meal.Snack]: 'Snack',
+};
+
+// endregion
+
+// region exports
+
+export class Meals {
+  /**
+   * Gets the name of a meal to show to the user.
+   *
+   * @param meal
+   *
+   * @return The name of the meal, "No meal" for null.
+   */
+  static getName(meal: Meal | null): string {
+    return meal ? MEAL_NAMES[meal] : 'No meal';
+  }
+
+  /**
+   * Suggests the meal for the time of a date.
+   *
+   * @param date
+   *
+   * @return The meal that is usually eaten at that time, a snack outside the meal times.
+   */
+  static suggestForDate(date: Date): Meal {
+    const hour = date.getHours() + date.getMinutes() / 60;
+    if ((hour >= 5) && (hour < 10.5)) {
+      return Meal.Breakfast;
+    }
+    if ((hour >= 11.5) && (hour < 14.5)) {
+      return Meal.Lunch;
+    }
+    if ((hour >= 17) && (hour < 21)) {
+      return Meal.Dinner;
+    }
+    return Meal.Snack;
+  }
+}
+
+// endregion
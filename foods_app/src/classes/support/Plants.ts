@@ -0,0 +1,43 @@
+// region local constants
+
+/**
+ * Weight of a food in a category that only counts as a quarter point, such as herbs and spices.
+ */
+const QUARTER_POINT: number = 0.25;
+
+/**
+ * Parts of category names of plant-based foods that count as a full point.
+ */
+const PLANT_CATEGORY_WORDS: string[] = [
+  'vegetable', 'fruit', 'legume', 'bean', 'pulse', 'nut', 'seed', 'grain', 'cereal'
+];
+
+/**
+ * Parts of category names of plant-based foods that count as a quarter point.
+ */
+const QUARTER_POINT_CATEGORY_WORDS: string[] = ['herb', 'spice'];
+
+// endregion
+
+// region exports
+
+export class Plants {
+  /**
+   * Gets the weight of a category in plants counting mode, for categories the user did not set a
+   * weight for. The weight is guessed from the name of the category, since the categories are
+   * defined by the food list.
+   *
+   * @param category
+   *
+   * @return 1 for plant-based categories, {@link QUARTER_POINT} for herbs and spices and 0 for
+   *   all other categories.
+   */
+  static getDefaultWeight(category: string): number {
+    if (QUARTER_POINT_CATEGORY_WORDS.some(word => category.includes(word))) {
+      return QUARTER_POINT;
+    }
+    return PLANT_CATEGORY_WORDS.some(word => category.includes(word)) ? 1 : 0;
+  }
+}
+
+// endregion
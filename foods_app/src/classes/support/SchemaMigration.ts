@@ -0,0 +1,99 @@
+// region exports
+
+/**
+ * A step that upgrades data from the previous version to the next version. The step does not
+ * have to update the version property.
+ */
+export type MigrationStep = (data: any) => any;
+
+/**
+ * Upgrades persisted data to the current version of its schema.
+ *
+ * The schema version is stored in a `version` property. Data without a version property has
+ * version 0 (it was stored before versions were introduced). Step `n` (zero based) upgrades data
+ * from version `n` to version `n + 1`, so the current version equals the number of steps.
+ */
+export class SchemaMigration {
+  // region private variables
+
+  private readonly m_name: string;
+
+  private readonly m_steps: MigrationStep[];
+
+  // endregion
+
+  // region public methods
+
+  /**
+   * @param name
+   *   Name of the data, used in error messages.
+   * @param steps
+   *   The steps in order of version.
+   */
+  constructor(name: string, steps: MigrationStep[]) {
+    this.m_name = name;
+    this.m_steps = steps;
+  }
+
+  /**
+   * Gets the version of the data.
+   *
+   * @param data
+   *
+   * @return The value of the version property or 0 if there is no version property.
+   */
+  getVersion(data: unknown): number {
+    if ((typeof data === 'object') && (data != null) && ('version' in data)) {
+      return Number(data.version);
+    }
+    return 0;
+  }
+
+  /**
+   * Checks if the data needs to be upgraded.
+   *
+   * @param data
+   *
+   * @return True if the data has an older version.
+   */
+  needsMigration(data: unknown): boolean {
+    return this.getVersion(data) < this.version;
+  }
+
+  /**
+   * Upgrades the data to the current version (or an older target version). An error is thrown if
+   * the data has a newer version than supported.
+   *
+   * @param data
+   * @param targetVersion
+   *   The version to upgrade to, the current version by default.
+   *
+   * @return The upgraded data with the version property set to the target version.
+   */
+  migrate<T>(data: unknown, targetVersion: number = this.version): T {
+    const version = this.getVersion(data);
+    if (isNaN(version) || (version > this.version)) {
+      throw new Error(`Unsupported ${this.m_name} version: ${version}`);
+    }
+    let result: any = data;
+    for (let index = version; index < Math.min(targetVersion, this.m_steps.length); index++) {
+      result = {...this.m_steps[index](result), version: index + 1};
+    }
+    return result as T;
+  }
+
+  // endregion
+
+  // region public properties
+
+  /**
+   * The current version of the schema.
+   */
+  get version(): number {
+    return this.m_steps.length;
+  }
+
+  // endregion
+}
+
+// endregion
@@ -3,8 +3,59 @@ export class Text {
     return input.trim().toLowerCase();
   }
 
+  /**
+   * Normalizes a text so it can be compared to other texts: every word is reduced to its stem
+   * (see {@link stem}) and the words are joined without spaces or other characters.
+   */
   static normalizeForComparison(input: string): string {
-    return input.trim().toLowerCase().replaceAll(' ', '');
+    return Text.getWords(input).map(word => Text.stem(word)).join('');
+  }
+
+  /**
+   * Splits a text into lowercase words, all characters other than letters and digits separate
+   * the words.
+   */
+  static getWords(input: string): string[] {
+    return Text.normalizeName(input).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  /**
+   * Reduces an English word to a stem, so the singular and plural forms of a word get the same
+   * stem. For example "berry" and "berries" both become "berri", "tomatoes" becomes "tomato" and
+   * "peaches" becomes "peach".
+   *
+   * The stem is only meant for comparing words, it is not always a real word.
+   *
+   * @param word
+   *   A lowercase word.
+   *
+   * @return The stem of the word.
+   */
+  static stem(word: string): string {
+    if (word.length < 3) {
+      return word;
+    }
+    // berries, cookies, pies -> berri, cooki, pi
+    if (word.endsWith('ies')) {
+      return word.slice(0, -2);
+    }
+    // cookie, pie -> cooki, pi
+    if (word.endsWith('ie')) {
+      return word.slice(0, -1);
+    }
+    // berry -> berri (but not a vowel followed by y, like in soy)
+    if (/[^aeiou]y$/.test(word)) {
+      return `${word.slice(0, -1)}i`;
+    }
+    // tomatoes, peaches, radishes, boxes -> tomato, peach, radish, box
+    if (/(oes|ches|shes|xes|zes|sses)$/.test(word)) {
+      return word.slice(0, -2);
+    }
+    // apples, lentils -> apple, lentil (but not hummus, swiss or anis)
+    if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+      return word.slice(0, -1);
+    }
+    return word;
   }
 
   static suffixWithOrdinal(number: number): string {
@@ -13,6 +64,20 @@ export class Text {
     return number + (suffixes[(remainder100 - 20) % 10] || suffixes[remainder100] || suffixes[0]);
   }
 
+  /**
+   * Formats the number of points counted for a week, which can contain quarter points.
+   */
+  static formatCount(count: number): string {
+    return count.toLocaleString('default', {maximumFractionDigits: 2});
+  }
+
+  /**
+   * Formats a number of weeks, for example "1 week" or "3 weeks".
+   */
+  static formatWeeks(count: number): string {
+    return count === 1 ? '1 week' : `${count} weeks`;
+  }
+
   static formatDate(date: Date): string {
     const day = Text.suffixWithOrdinal(date.getDate());
     const month = date.toLocaleString('default', { month: 'long' });
@@ -28,4 +93,79 @@ export class Text {
     const minutes = date.getMinutes().toString().padStart(2, '0');
     return `${month} ${day}, ${hours}:${minutes}`;
   }
+
+  /**
+   * Formats a date as YYYY-MM-DD using the local time zone.
+   */
+  static formatIsoDate(date: Date): string {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Formats a date as YYYY-MM-DD HH:MM using the local time zone.
+   */
+  static formatIsoDateWithTime(date: Date): string {
+    const hours = date.getHours().toString().padStart(2, '0');
+    const minutes = date.getMinutes().toString().padStart(2, '0');
+    return `${Text.formatIsoDate(date)} ${hours}:${minutes}`;
+  }
+
+  /**
+   * Formats a date as YYYY-MM-DDTHH:MM using the local time zone, the format used by the value
+   * of a datetime-local input.
+   */
+  static formatInputDateTime(date: Date): string {
+    return Text.formatIsoDateWithTime(date).replace(' ', 'T');
+  }
+
+  /**
+   * Calculates how similar two texts are, using the number of single character insertions,
+   * deletions and substitutions needed to change one text into the other (Levenshtein distance).
+   *
+   * @param first
+   * @param second
+   *
+   * @return A value between 0 (nothing in common) and 1 (the same text).
+   */
+  static getSimilarity(first: string, second: string): number {
+    const length = Math.max(first.length, second.length);
+    if (length === 0) {
+      return 1;
+    }
+    // distances from the characters of first processed so far to every prefix of second
+    let previous = Array.from({length: second.length + 1}, (_, index) => index);
+    for (let firstIndex = 1; firstIndex <= first.length; firstIndex++) {
+      const current = [firstIndex];
+      for (let secondIndex = 1; secondIndex <= second.length; secondIndex++) {
+        const cost = first[firstIndex - 1] === second[secondIndex - 1] ? 0 : 1;
+        current.push(Math.min(
+          previous[secondIndex] + 1,
+          current[secondIndex - 1] + 1,
+          previous[secondIndex - 1] + cost
+        ));
+      }
+      previous = current;
+    }
+    return 1 - previous[second.length] / length;
+  }
+
+  /**
+   * Converts rows of values to CSV text. Values containing a comma, quote or line break are
+   * quoted.
+   *
+   * @param rows
+   *
+   * @return The CSV text, rows are separated by CRLF.
+   */
+  static toCsv(rows: string[][]): string {
+    return rows
+      .map(
+        row => row
+          .map(value => /[",\r\n]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value)
+          .join(',')
+      )
+      .join('\r\n');
+  }
 }
\ No newline at end of file
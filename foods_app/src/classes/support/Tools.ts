@@ -31,6 +31,33 @@ export class Tools {
     return UFText.parseCSV(text);
   }
 
+  /**
+   * Converts the url of a Google Sheet to the url that returns the sheet as CSV. The following
+   * urls are supported:
+   * - a published sheet: `.../spreadsheets/d/e/{id}/pubhtml`
+   * - a shared sheet: `.../spreadsheets/d/{id}/edit...`
+   *
+   * Urls that already return CSV and other urls are returned as is.
+   *
+   * @param url
+   *
+   * @return The url to load the CSV data from.
+   */
+  static getGoogleSheetCsvUrl(url: string): string {
+    if (url.includes('output=csv') || url.includes('format=csv')) {
+      return url;
+    }
+    const published = url.match(/^(https:\/\/docs\.google\.com\/spreadsheets\/d\/e\/[\w-]+)\/pub/);
+    if (published) {
+      return `${published[1]}/pub?output=csv`;
+    }
+    const shared = url.match(/^(https:\/\/docs\.google\.com\/spreadsheets\/d\/[\w-]+)/);
+    if (shared) {
+      return `${shared[1]}/export?format=csv`;
+    }
+    return url;
+  }
+
   /**
    * Calculates the number of full days between two dates, ignoring time components.
    * The result is always non-negative, regardless of the order of the input dates.
@@ -46,6 +73,23 @@ export class Tools {
     return Math.abs(Math.floor((utcSecond - utcFirst) / MILLISECONDS_PER_DAY));
   }
 
+  /**
+   * Lets the browser download a text as a file.
+   *
+   * @param fileName
+   * @param text
+   * @param mimeType
+   */
+  static downloadText(fileName: string, text: string, mimeType: string): void {
+    const url = URL.createObjectURL(new Blob([text], {type: mimeType}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // give the browser time to start the download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   /**
    * Checks if the browser supports the Web Speech API for speech recognition.
    *
@@ -44,6 +44,15 @@ export class PageBase {
 
   // region public methods
 
+  /**
+   * Checks if the page is currently visible.
+   *
+   * @return True if the page is shown.
+   */
+  isVisible(): boolean {
+    return !this.m_pageElement.classList.contains(PAGE_HIDE_CLASS);
+  }
+
   /**
    * Scrolls the page to the top.
    */
@@ -0,0 +1,87 @@
+// region imports
+
+import {WeekEntry} from "../data/WeekEntry";
+import {Text} from "../support/Text";
+
+// endregion
+
+// region local constants
+
+const SVG_NAMESPACE: string = 'http://www.w3.org/2000/svg';
+
+/**
+ * Width of a bar including the space between the bars, in view box units.
+ */
+const BAR_WIDTH: number = 10;
+
+const BAR_GAP: number = 2;
+
+const CHART_HEIGHT: number = 100;
+
+const BAR_CLASS: string = 'tp-chart__bar';
+
+const SUCCESS_BAR_CLASS: string = 'tp-chart__bar--is-success';
+
+const GOAL_CLASS: string = 'tp-chart__goal';
+
+// endregion
+
+// region exports
+
+/**
+ * Creates an SVG bar chart of the counts of weeks. A line shows the goal of every week.
+ */
+export class WeekChart {
+  /**
+   * Creates the chart.
+   *
+   * @param weeks
+   *   The weeks to show, oldest first.
+   *
+   * @return An SVG element that scales to the width of its container.
+   */
+  static create(weeks: WeekEntry[]): SVGSVGElement {
+    const maxValue = Math.max(1, ...weeks.map(week => Math.max(week.count, week.goal)));
+    const scale = CHART_HEIGHT / maxValue;
+    const svg = WeekChart.createElement('svg');
+    svg.setAttribute('viewBox', `0 0 ${weeks.length * BAR_WIDTH} ${CHART_HEIGHT}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', 'Foods per week');
+    svg.classList.add('tp-chart');
+    const goalPoints: string[] = [];
+    weeks.forEach((week, index) => {
+      const height = week.count * scale;
+      const bar = WeekChart.createElement('rect');
+      bar.setAttribute('x', String(index * BAR_WIDTH + BAR_GAP / 2));
+      bar.setAttribute('y', String(CHART_HEIGHT - height));
+      bar.setAttribute('width', String(BAR_WIDTH - BAR_GAP));
+      bar.setAttribute('height', String(height));
+      bar.classList.add(BAR_CLASS);
+      bar.classList.toggle(SUCCESS_BAR_CLASS, week.isGoalReached);
+      const title = WeekChart.createElement('title');
+      title.textContent = `${Text.formatDate(week.startDate)}: ` +
+        `${Text.formatCount(week.count)} of ${week.goal}`;
+      bar.appendChild(title);
+      svg.appendChild(bar);
+      const goalY = CHART_HEIGHT - week.goal * scale;
+      goalPoints.push(`${index * BAR_WIDTH},${goalY}`, `${(index + 1) * BAR_WIDTH},${goalY}`);
+    });
+    const goalLine = WeekChart.createElement('polyline');
+    goalLine.setAttribute('points', goalPoints.join(' '));
+    goalLine.setAttribute('vector-effect', 'non-scaling-stroke');
+    goalLine.classList.add(GOAL_CLASS);
+    svg.appendChild(goalLine);
+    return svg as SVGSVGElement;
+  }
+
+  // region private methods
+
+  private static createElement(name: string): SVGElement {
+    return document.createElementNS(SVG_NAMESPACE, name) as SVGElement;
+  }
+
+  // endregion
+}
+
+// endregion
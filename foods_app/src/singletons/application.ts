@@ -1,17 +1,20 @@
 // region imports
 
-import {Tools} from '../classes/support/Tools';
 import {foodData} from './data/foodData';
 import {historyData} from "./data/historyData";
 import {mainController} from "./main/mainController";
 import {UFHtml} from "@ultraforce/ts-dom-lib";
 import {DataAttribute} from "../types/DataAttribute";
+import {catalogCache} from "./data/catalogCache";
+import {settings} from "./main/settings";
+import {CatalogSourceType} from "../types/CatalogSourceType";
+import {toast} from "./main/toast";
 
 // endregion
 
 // region local constants
 
-const CSV_URL: string = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQwlU_Al-u5JKhCjje6GZCNxdafpKBsZw2luPFZC8Vl6xd7eaNMjtJ3hxdrO8TGoYSS1In8WqEM3BEY/pub?output=csv';
+const SERVICE_WORKER_URL: string = 'service-worker.php';
 
 // endregion
 
@@ -19,20 +22,158 @@ const CSV_URL: string = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQwlU_A
 
 class Application {
   async run() {
-    // first need to get rows
-    const rows = await Tools.loadCSV(CSV_URL);
-    foodData.import(rows);
-    // the initialize data (that references food data)
-    historyData.initialize();
+    // cache the application shell so it can be installed and started offline
+    this.registerServiceWorker();
+    // update the cached catalog when the network becomes available
+    window.addEventListener('online', () => this.refreshCatalog());
     // install non-page specific listeners
     UFHtml.addListeners(
       DataAttribute.BackButton,
       'click',
       () => () => mainController.back()
     );
-    // start the app
+    // offer to undo every change to the history
+    historyData.addUndoListener(
+      description => toast.show(description, 'Undo', () => this.undo())
+    );
+    await this.start();
+  }
+
+  // region private methods
+
+  /**
+   * Loads the data and starts the app. If loading fails, the error page is shown.
+   */
+  private async start(): Promise<void> {
+    // first need to get rows, only wait for the network if there is no cached catalog
+    const url = settings.catalogUrl;
+    const hasCache = catalogCache.loadFromStorage(url);
+    try {
+      if (!hasCache) {
+        if (url == null) {
+          throw new Error('The food list file is no longer available, please select it again.');
+        }
+        await catalogCache.fetch(url);
+      }
+      foodData.import(catalogCache.rows!);
+    }
+    catch (error) {
+      this.showError(
+        'The food list could not be loaded.',
+        error,
+        settings.catalogSourceType !== CatalogSourceType.Default
+          ? () => this.continueWithDefaultCatalog()
+          : null
+      );
+      return;
+    }
+    // update the cached catalog in the background
+    if (hasCache) {
+      this.refreshCatalog();
+    }
+    // start the app, the history (that references food data) is loaded in the background
     mainController.start();
+    await this.loadHistory();
+  }
+
+  /**
+   * Loads the history. If loading fails, the error page is shown; the user can continue without
+   * the stored history.
+   */
+  private async loadHistory(): Promise<void> {
+    try {
+      await historyData.initialize();
+    }
+    catch (error) {
+      this.showError('The history could not be loaded.', error, () => mainController.start());
+    }
+  }
+
+  /**
+   * Switches back to the default food list and tries to start the app again.
+   */
+  private continueWithDefaultCatalog(): void {
+    settings.setCatalogSource(CatalogSourceType.Default, '');
+    this.retry();
+  }
+
+  /**
+   * Shows the error page.
+   *
+   * @param title
+   * @param error
+   * @param continueHandler
+   *   Handler to continue with the available data or null if that is not possible.
+   */
+  private showError(title: string, error: unknown, continueHandler: (() => void) | null): void {
+    console.error(title, error);
+    mainController.showError({
+      title: title,
+      message: error instanceof Error ? error.message : String(error),
+      retry: () => this.retry(),
+      continue: continueHandler
+    });
   }
+
+  /**
+   * Shows the loading page and tries to start the app again. Errors not handled while starting
+   * are shown on the error page as well.
+   */
+  private async retry(): Promise<void> {
+    mainController.showLoading();
+    try {
+      await this.start();
+    }
+    catch (error) {
+      this.showError('The app could not be started.', error, null);
+    }
+  }
+
+  /**
+   * Undoes the last change to the history.
+   */
+  private undo(): void {
+    historyData.undo().catch(error => {
+      console.error('Failed to undo the change', error);
+      toast.show('The change could not be undone.');
+    });
+  }
+
+  /**
+   * Registers the service worker if the browser supports it. Errors are logged and otherwise
+   * ignored, the application works without a service worker.
+   */
+  private registerServiceWorker(): void {
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(
+        error => console.warn('Failed to register service worker', error)
+      );
+    }
+  }
+
+  /**
+   * Refreshes the cached catalog. The refreshed catalog is used the next time the application
+   * starts; this prevents food entries changing while the user is working with them.
+   *
+   * Errors are logged and otherwise ignored, the cached catalog remains in use. A catalog read
+   * from a local file is not refreshed.
+   */
+  private async refreshCatalog(): Promise<void> {
+    const url = settings.catalogUrl;
+    if (url == null) {
+      return;
+    }
+    try {
+      if (await catalogCache.fetch(url)) {
+        console.debug('Food catalog has changed, it will be used with the next start');
+      }
+    }
+    catch (error) {
+      console.warn('Failed to refresh food catalog, using cached version', error);
+    }
+  }
+
+  // endregion
 }
 
 // endregion
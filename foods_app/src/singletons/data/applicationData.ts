@@ -1,21 +1,50 @@
 import { WeekEntry } from "../../classes/data/WeekEntry";
 import {CompareEntry} from "../../classes/data/CompareEntry";
+import {ErrorInfo} from "../../types/ErrorInfo";
+import {ConfirmEntry} from "../../classes/data/ConfirmEntry";
+import {FuzzySuggestion} from "../../types/FuzzySuggestion";
 
 class ApplicationData {
   // region private variables
 
   private m_selectedWeek: WeekEntry | null = null;
 
-  private m_compareEntries: CompareEntry[] = [];
+  private m_confirmEntries: ConfirmEntry[] = [];
+
+  private m_fuzzySuggestions: FuzzySuggestion[] = [];
+
+  private m_unrecognizedTexts: string[] = [];
+
+  private m_addFilterText: string = '';
+
+  private m_isCreatingFood: boolean = false;
+
+  private m_errorInfo: ErrorInfo | null = null;
+
+  private m_pickFoodHandler: ((entry: CompareEntry) => void) | null = null;
 
   // endregion
 
   // region public methods
 
-  removeCompareEntry(entry: CompareEntry): void {
-    const index = this.m_compareEntries.indexOf(entry);
+  removeConfirmEntry(entry: ConfirmEntry): void {
+    const index = this.m_confirmEntries.indexOf(entry);
+    if (index > -1) {
+      this.m_confirmEntries.splice(index, 1);
+    }
+  }
+
+  removeFuzzySuggestion(suggestion: FuzzySuggestion): void {
+    const index = this.m_fuzzySuggestions.indexOf(suggestion);
     if (index > -1) {
-      this.m_compareEntries.splice(index, 1);
+      this.m_fuzzySuggestions.splice(index, 1);
+    }
+  }
+
+  removeUnrecognizedText(text: string): void {
+    const index = this.m_unrecognizedTexts.indexOf(text);
+    if (index > -1) {
+      this.m_unrecognizedTexts.splice(index, 1);
     }
   }
 
@@ -31,12 +60,79 @@ class ApplicationData {
     this.m_selectedWeek = value;
   }
 
-  get compareEntries(): CompareEntry[] {
-    return this.m_compareEntries;
+  /**
+   * The entries shown on the confirm page.
+   */
+  get confirmEntries(): ConfirmEntry[] {
+    return this.m_confirmEntries;
+  }
+
+  set confirmEntries(value: ConfirmEntry[]) {
+    this.m_confirmEntries = value;
+  }
+
+  /**
+   * The "did you mean" suggestions shown on the confirm page for parts of a dictated text.
+   */
+  get fuzzySuggestions(): FuzzySuggestion[] {
+    return this.m_fuzzySuggestions;
+  }
+
+  set fuzzySuggestions(value: FuzzySuggestion[]) {
+    this.m_fuzzySuggestions = value;
+  }
+
+  /**
+   * The parts of a dictated text that did not match any food, shown on the confirm page.
+   */
+  get unrecognizedTexts(): string[] {
+    return this.m_unrecognizedTexts;
+  }
+
+  set unrecognizedTexts(value: string[]) {
+    this.m_unrecognizedTexts = value;
+  }
+
+  /**
+   * The initial filter text of the add page.
+   */
+  get addFilterText(): string {
+    return this.m_addFilterText;
+  }
+
+  set addFilterText(value: string) {
+    this.m_addFilterText = value;
+  }
+
+  /**
+   * When true, the add page shows the form to create a food, even if foods match the filter.
+   */
+  get isCreatingFood(): boolean {
+    return this.m_isCreatingFood;
+  }
+
+  set isCreatingFood(value: boolean) {
+    this.m_isCreatingFood = value;
+  }
+
+  get errorInfo(): ErrorInfo | null {
+    return this.m_errorInfo;
+  }
+
+  set errorInfo(value: ErrorInfo | null) {
+    this.m_errorInfo = value;
+  }
+
+  /**
+   * When set, the add page calls this handler with the selected entry instead of adding the entry
+   * to {@link confirmEntries}.
+   */
+  get pickFoodHandler(): ((entry: CompareEntry) => void) | null {
+    return this.m_pickFoodHandler;
   }
 
-  set compareEntries(value: CompareEntry[]) {
-    this.m_compareEntries = value;
+  set pickFoodHandler(value: ((entry: CompareEntry) => void) | null) {
+    this.m_pickFoodHandler = value;
   }
 
   // endregion
@@ -0,0 +1,371 @@
+// region imports
+
+import {BackupFile, BackupPreview} from "../../types/BackupFile";
+import {HistoryStorageData} from "../../types/HistoryStorageData";
+import {SettingsData} from "../../types/SettingsData";
+import {CatalogSourceType} from "../../types/CatalogSourceType";
+import {HistoryEntry} from "../../classes/data/HistoryEntry";
+import {Text} from "../../classes/support/Text";
+import {SchemaMigration} from "../../classes/support/SchemaMigration";
+import {PortionData} from "../../types/PortionData";
+import {PortionUnit} from "../../types/PortionUnit";
+import {Meal} from "../../types/Meal";
+import {GoalChangeData} from "../../types/GoalChangeData";
+import {CountingMode} from "../../types/CountingMode";
+import {CountingChangeData} from "../../types/CountingChangeData";
+import {MinimumPortionChangeData} from "../../types/MinimumPortionChangeData";
+import {settings} from "../main/settings";
+import {historyData} from "./historyData";
+import {customFoodData} from "./customFoodData";
+import {foodData} from "./foodData";
+import {catalogCache} from "./catalogCache";
+import {storageSchema} from "./storageSchema";
+
+// endregion
+
+// region local constants
+
+const APPLICATION_ID: string = '20foods';
+
+const CSV_HEADER: string[] = ['date', 'consumed name', 'food name', 'category', 'week start'];
+
+const INVALID_FILE_MESSAGE: string = 'The file does not contain valid 20 Foods data.';
+
+const NEWER_VERSION_MESSAGE: string = 'The file was created by a newer version of 20 Foods.';
+
+// endregion
+
+// region local types
+
+/**
+ * Exports and imports all user data (history, settings and custom foods). The history can also be
+ * exported as CSV for use in spreadsheets.
+ */
+class BackupData {
+  // region public methods
+
+  /**
+   * Creates a backup of all user data.
+   *
+   * @return A JSON string containing the backup.
+   */
+  createExport(): string {
+    const data: BackupFile = {
+      application: APPLICATION_ID,
+      version: storageSchema.backup.version,
+      exportDate: new Date().toISOString(),
+      settings: settings.toData(),
+      history: historyData.getEntries().map(
+        entry => ({...entry.toStorageData(), version: storageSchema.history.version})
+      ),
+      customFoods: customFoodData.getRows(),
+      customSynonyms: customFoodData.getSynonyms()
+    };
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * Creates a CSV export of the history entries with the columns: date and time, consumed name,
+   * food name, category and week start. The entries are sorted by date in ascending order.
+   *
+   * @param startDate
+   *   When set, only entries on or after this date are exported.
+   * @param endDate
+   *   When set, only entries on or before this date are exported.
+   *
+   * @return The CSV text including a header row.
+   */
+  createHistoryCsv(startDate: Date | null, endDate: Date | null): string {
+    const rows = historyData.getEntries()
+      .filter(
+        entry => ((startDate == null) || (entry.date >= startDate)) &&
+          ((endDate == null) || (entry.date <= endDate))
+      )
+      .reverse()
+      .map(entry => [
+        Text.formatIsoDateWithTime(entry.date),
+        entry.consumedName,
+        entry.food.name,
+        entry.food.category,
+        Text.formatIsoDate(historyData.startOfWeek(entry.date))
+      ]);
+    return Text.toCsv([CSV_HEADER, ...rows]);
+  }
+
+  /**
+   * Parses and validates the contents of a backup file. An error is thrown if the contents are
+   * not valid.
+   *
+   * @param text
+   *
+   * @return The backup data.
+   */
+  parse(text: string): BackupFile {
+    let data: unknown;
+    try {
+      data = JSON.parse(text);
+    }
+    catch (error) {
+      throw new Error(INVALID_FILE_MESSAGE);
+    }
+    return this.validate(data);
+  }
+
+  /**
+   * Determines what will change when the backup is imported.
+   *
+   * @param data
+   *
+   * @return The preview of the changes.
+   */
+  getPreview(data: BackupFile): BackupPreview {
+    const currentHistory = new Set<string>(historyData.getEntries().map(entry => entry.toJson()));
+    const currentCustomFoods = customFoodData.getRows();
+    const currentSettings = settings.toData();
+    const settingChanges: string[] = [];
+    if (data.settings.startDayOfWeek !== currentSettings.startDayOfWeek) {
+      settingChanges.push('first day of the week');
+    }
+    if (
+      JSON.stringify(data.settings.minimumPortionChanges) !==
+      JSON.stringify(currentSettings.minimumPortionChanges)
+    ) {
+      settingChanges.push('minimum portion');
+    }
+    if (JSON.stringify(data.settings.goalChanges) !== JSON.stringify(currentSettings.goalChanges)) {
+      settingChanges.push('weekly goal');
+    }
+    if (
+      JSON.stringify(data.settings.countingChanges) !==
+      JSON.stringify(currentSettings.countingChanges)
+    ) {
+      settingChanges.push('counted foods');
+    }
+    if (
+      (data.settings.catalogSourceType !== CatalogSourceType.File) &&
+      (
+        (data.settings.catalogSourceType !== currentSettings.catalogSourceType) ||
+        (data.settings.catalogUrl !== currentSettings.catalogUrl)
+      )
+    ) {
+      settingChanges.push('food list');
+    }
+    return {
+      historyCount: data.history.length,
+      newHistoryCount: data.history.filter(
+        item => !currentHistory.has(JSON.stringify(this.normalizeHistoryItem(item)))
+      ).length,
+      currentHistoryCount: currentHistory.size,
+      customFoodCount: data.customFoods.length,
+      newCustomFoodCount: data.customFoods.filter(
+        row => !this.hasCustomFood(currentCustomFoods, row[0])
+      ).length,
+      currentCustomFoodCount: currentCustomFoods.length,
+      settingChanges: settingChanges
+    };
+  }
+
+  /**
+   * Imports the backup.
+   *
+   * @param data
+   * @param replace
+   *   When true, the current history, custom foods and settings are replaced. When false, the
+   *   history and custom foods are merged and the current settings are kept.
+   */
+  async import(data: BackupFile, replace: boolean): Promise<void> {
+    // the stored history must be loaded first, its entries are merged or replaced
+    await historyData.waitForLoad();
+    if (replace) {
+      settings.applyData(data.settings);
+      customFoodData.replaceAll(data.customFoods);
+      customFoodData.replaceAllSynonyms(data.customSynonyms);
+    }
+    else {
+      const rows = customFoodData.getRows();
+      customFoodData.replaceAll([
+        ...rows,
+        ...data.customFoods.filter(row => !this.hasCustomFood(rows, row[0]))
+      ]);
+      const synonyms = customFoodData.getSynonyms();
+      customFoodData.replaceAllSynonyms([
+        ...synonyms,
+        ...data.customSynonyms.filter(
+          row => !synonyms.some(synonym => synonym[1] === Text.normalizeName(row[1]))
+        )
+      ]);
+    }
+    // rebuild the food data to include the custom foods, then update the history so it refers to
+    // the new food entries
+    foodData.import(catalogCache.rows!);
+    historyData.resolveFoods();
+    await historyData.import(
+      data.history.map(item => HistoryEntry.createFromStorageData(item)), replace
+    );
+  }
+
+  // endregion
+
+  // region private methods
+
+  /**
+   * Validates the parsed contents of a backup file.
+   *
+   * @param data
+   *
+   * @return The data as backup data.
+   */
+  private validate(data: unknown): BackupFile {
+    if ((typeof data !== 'object') || (data == null)) {
+      throw new Error(INVALID_FILE_MESSAGE);
+    }
+    const backup = data as Partial<BackupFile>;
+    if ((backup.application !== APPLICATION_ID) || (typeof backup.version !== 'number')) {
+      throw new Error(INVALID_FILE_MESSAGE);
+    }
+    if (backup.version > storageSchema.backup.version) {
+      throw new Error(NEWER_VERSION_MESSAGE);
+    }
+    const result = storageSchema.backup.migrate<BackupFile>(backup);
+    if (!Array.isArray(result.history)) {
+      throw new Error('The file contains invalid history entries.');
+    }
+    result.history = result.history.map(item => this.upgrade(storageSchema.history, item));
+    if (!result.history.every(item => this.isHistoryItem(item))) {
+      throw new Error('The file contains invalid history entries.');
+    }
+    if (
+      !Array.isArray(result.customFoods) ||
+      !result.customFoods.every(row => this.isCustomFoodRow(row))
+    ) {
+      throw new Error('The file contains invalid custom foods.');
+    }
+    if (
+      !Array.isArray(result.customSynonyms) ||
+      !result.customSynonyms.every(row => this.isCustomSynonymRow(row))
+    ) {
+      throw new Error('The file contains invalid synonyms.');
+    }
+    if ((typeof result.settings !== 'object') || (result.settings == null)) {
+      throw new Error('The file contains invalid settings.');
+    }
+    result.settings = this.upgrade(storageSchema.settings, result.settings);
+    if (!this.isSettings(result.settings)) {
+      throw new Error('The file contains invalid settings.');
+    }
+    return result;
+  }
+
+  /**
+   * Upgrades data in the backup to the current version.
+   *
+   * @param migration
+   * @param data
+   *
+   * @return The upgraded data.
+   */
+  private upgrade<T>(migration: SchemaMigration, data: T): T {
+    if (migration.getVersion(data) > migration.version) {
+      throw new Error(NEWER_VERSION_MESSAGE);
+    }
+    return migration.migrate<T>(data);
+  }
+
+  private isHistoryItem(item: unknown): item is HistoryStorageData {
+    const data = item as HistoryStorageData;
+    return (typeof item === 'object') && (item != null) &&
+      (typeof data.foodName === 'string') &&
+      (typeof data.consumedName === 'string') &&
+      (typeof data.date === 'string') &&
+      !isNaN(new Date(data.date).getTime()) &&
+      ((data.portion == null) || this.isPortion(data.portion)) &&
+      ((data.meal == null) || Object.values(Meal).includes(data.meal));
+  }
+
+  private isPortion(value: unknown): value is PortionData {
+    const data = value as PortionData;
+    return (typeof value === 'object') && (value != null) &&
+      (typeof data.amount === 'number') && (data.amount > 0) &&
+      Object.values(PortionUnit).includes(data.unit);
+  }
+
+  private isCustomFoodRow(row: unknown): row is string[] {
+    return Array.isArray(row) && (row.length > 1) &&
+      row.every(cell => typeof cell === 'string') &&
+      (Text.normalizeName(row[0]).length > 0);
+  }
+
+  private isCustomSynonymRow(row: unknown): row is string[] {
+    return Array.isArray(row) && (row.length === 2) &&
+      row.every(cell => (typeof cell === 'string') && (Text.normalizeName(cell).length > 0));
+  }
+
+  private isSettings(value: unknown): value is SettingsData {
+    const data = value as SettingsData;
+    return (typeof value === 'object') && (value != null) &&
+      Number.isInteger(data.startDayOfWeek) &&
+      (data.startDayOfWeek >= 0) && (data.startDayOfWeek <= 6) &&
+      Object.values(CatalogSourceType).includes(data.catalogSourceType) &&
+      (typeof data.catalogUrl === 'string') &&
+      Array.isArray(data.minimumPortionChanges) &&
+      data.minimumPortionChanges.every(change => this.isMinimumPortionChange(change)) &&
+      Array.isArray(data.goalChanges) &&
+      data.goalChanges.every(change => this.isGoalChange(change)) &&
+      Array.isArray(data.countingChanges) &&
+      data.countingChanges.every(change => this.isCountingChange(change));
+  }
+
+  private isCountingChange(value: unknown): value is CountingChangeData {
+    const data = value as CountingChangeData;
+    return (typeof value === 'object') && (value != null) &&
+      (typeof data.date === 'string') && !isNaN(new Date(data.date).getTime()) &&
+      Object.values(CountingMode).includes(data.countingMode) &&
+      (typeof data.categoryWeights === 'object') && (data.categoryWeights != null) &&
+      Object.values(data.categoryWeights).every(
+        weight => (typeof weight === 'number') && (weight >= 0) && (weight <= 1)
+      );
+  }
+
+  private isMinimumPortionChange(value: unknown): value is MinimumPortionChangeData {
+    const data = value as MinimumPortionChangeData;
+    return (typeof value === 'object') && (value != null) &&
+      (typeof data.date === 'string') && !isNaN(new Date(data.date).getTime()) &&
+      (typeof data.minimumPortion === 'number') && (data.minimumPortion >= 0);
+  }
+
+  private isGoalChange(value: unknown): value is GoalChangeData {
+    const data = value as GoalChangeData;
+    return (typeof value === 'object') && (value != null) &&
+      (typeof data.date === 'string') && !isNaN(new Date(data.date).getTime()) &&
+      Number.isInteger(data.goal) && (data.goal > 0);
+  }
+
+  /**
+   * Makes sure the item has the same structure as the storage data of a history entry, so the
+   * JSON strings can be compared.
+   */
+  private normalizeHistoryItem(item: HistoryStorageData): HistoryStorageData {
+    return {
+      foodName: item.foodName,
+      consumedName: item.consumedName,
+      date: new Date(item.date).toISOString(),
+      portion: item.portion ? {amount: item.portion.amount, unit: item.portion.unit} : null,
+      meal: item.meal
+    };
+  }
+
+  private hasCustomFood(rows: string[][], name: string): boolean {
+    const normalizedName = Text.normalizeName(name);
+    return rows.some(row => Text.normalizeName(row[0]) === normalizedName);
+  }
+
+  // endregion
+}
+
+// endregion
+
+// region exports
+
+export const backupData = new BackupData();
+
+// endregion
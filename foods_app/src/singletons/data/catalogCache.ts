@@ -0,0 +1,162 @@
+// region imports
+
+import {Tools} from "../../classes/support/Tools";
+import {storageSchema} from "./storageSchema";
+
+// endregion
+
+// region local constants
+
+const STORAGE_KEY: string = 'foodCatalog';
+
+// endregion
+
+// region local types
+
+// used for storing and retrieving the cached catalog as string
+type StorageData = {
+  version: number;
+  rows: string[][];
+  fetchDate: string;
+  source: string | null;
+}
+
+class CatalogCache {
+  // region private variables
+
+  /**
+   * The rows of the last successfully fetched catalog.
+   */
+  private m_rows: string[][] | null = null;
+
+  /**
+   * The date and time the rows were fetched.
+   */
+  private m_fetchDate: Date | null = null;
+
+  /**
+   * The url the rows were fetched from, null if the rows were read from a local file.
+   */
+  private m_source: string | null = null;
+
+  // endregion
+
+  // region public methods
+
+  /**
+   * Loads the cached catalog from local storage.
+   *
+   * @param source
+   *   The url of the catalog, null for a catalog read from a local file. The cached catalog is
+   *   only used if it was retrieved from the same source.
+   *
+   * @return True if a cached catalog was found, false if there is no (valid) cached catalog.
+   */
+  loadFromStorage(source: string | null): boolean {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) {
+      return false;
+    }
+    try {
+      const storedData: unknown = JSON.parse(raw);
+      const data = storageSchema.catalogCache.migrate<StorageData>(storedData);
+      if (data.source !== source) {
+        return false;
+      }
+      this.m_rows = data.rows;
+      this.m_fetchDate = new Date(data.fetchDate);
+      this.m_source = source;
+      if (storageSchema.catalogCache.needsMigration(storedData)) {
+        this.saveToStorage();
+      }
+      return true;
+    }
+    catch (error) {
+      console.warn('Ignoring invalid cached food catalog', error);
+      return false;
+    }
+  }
+
+  /**
+   * Fetches the catalog from the given url. If the fetch was successful, the rows are stored
+   * together with the current date and time in local storage.
+   *
+   * An error is thrown if the catalog could not be fetched.
+   *
+   * @param url
+   *
+   * @return True if the fetched rows differ from the rows that were cached before.
+   */
+  async fetch(url: string): Promise<boolean> {
+    const rows = await Tools.loadCSV(url);
+    const changed = JSON.stringify(rows) !== JSON.stringify(this.m_rows);
+    this.store(rows, url);
+    return changed;
+  }
+
+  /**
+   * Replaces the cached catalog with the given rows. The current date and time is used as fetch
+   * date.
+   *
+   * @param rows
+   * @param source
+   *   The url the rows were fetched from, null if the rows were read from a local file.
+   */
+  store(rows: string[][], source: string | null): void {
+    this.m_rows = rows;
+    this.m_fetchDate = new Date();
+    this.m_source = source;
+    this.saveToStorage();
+  }
+
+  // endregion
+
+  // region public properties
+
+  /**
+   * The cached rows or null if there is no cached catalog.
+   */
+  get rows(): string[][] | null {
+    return this.m_rows;
+  }
+
+  /**
+   * The date and time the cached rows were fetched or null if there is no cached catalog.
+   */
+  get fetchDate(): Date | null {
+    return this.m_fetchDate;
+  }
+
+  // endregion
+
+  // region private methods
+
+  /**
+   * Saves the current rows and fetch date to local storage.
+   */
+  private saveToStorage() {
+    const data: StorageData = {
+      version: storageSchema.catalogCache.version,
+      rows: this.m_rows!,
+      fetchDate: this.m_fetchDate!.toISOString(),
+      source: this.m_source
+    };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    }
+    catch (error) {
+      // the catalog is still usable for this session
+      console.warn('Failed to cache food catalog', error);
+    }
+  }
+
+  // endregion
+}
+
+// endregion
+
+// region exports
+
+export const catalogCache = new CatalogCache();
+
+// endregion
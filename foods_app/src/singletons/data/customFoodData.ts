@@ -0,0 +1,171 @@
+// region imports
+
+import {Text} from "../../classes/support/Text";
+import {storageSchema} from "./storageSchema";
+
+// endregion
+
+// region local constants
+
+const STORAGE_KEY: string = 'customFoods';
+
+// endregion
+
+// region local types
+
+// used for storing and retrieving the custom foods as string
+type StorageData = {
+  version: number;
+  rows: string[][];
+  synonyms: string[][];
+}
+
+/**
+ * Manages the foods created by the user. The foods are stored as rows using the same format as
+ * the rows of the food catalog: name, category and synonyms.
+ *
+ * The synonyms the user added to existing foods (including foods of the catalog) are stored as
+ * rows with the name of the food and the synonym.
+ */
+class CustomFoodData {
+  // region private variables
+
+  private m_rows: string[][] | null = null;
+
+  private m_synonyms: string[][] | null = null;
+
+  // endregion
+
+  // region public methods
+
+  /**
+   * Gets the rows of all custom foods.
+   *
+   * @return Rows containing the name, category and synonyms.
+   */
+  getRows(): string[][] {
+    if (this.m_rows == null) {
+      this.load();
+    }
+    return this.m_rows!;
+  }
+
+  /**
+   * Gets the synonyms the user added to existing foods.
+   *
+   * @return Rows containing the name of the food and the synonym.
+   */
+  getSynonyms(): string[][] {
+    if (this.m_synonyms == null) {
+      this.load();
+    }
+    return this.m_synonyms!;
+  }
+
+  /**
+   * Adds a synonym to an existing food and saves the custom foods to local storage.
+   *
+   * @param foodName
+   * @param synonym
+   */
+  addSynonym(foodName: string, synonym: string): void {
+    this.getSynonyms().push([Text.normalizeName(foodName), Text.normalizeName(synonym)]);
+    this.saveToStorage();
+  }
+
+  /**
+   * Adds a custom food and saves the custom foods to local storage.
+   *
+   * @param name
+   * @param category
+   * @param synonyms
+   *   Synonyms separated by commas.
+   *
+   * @return The row for the new food.
+   */
+  add(name: string, category: string, synonyms: string): string[] {
+    const row = [Text.normalizeName(name), Text.normalizeName(category), synonyms.trim()];
+    this.getRows().push(row);
+    this.saveToStorage();
+    return row;
+  }
+
+  /**
+   * Replaces all custom foods and saves them to local storage.
+   *
+   * @param rows
+   */
+  replaceAll(rows: string[][]): void {
+    // load the stored data first, so the stored synonyms are saved again
+    this.getSynonyms();
+    this.m_rows = rows;
+    this.saveToStorage();
+  }
+
+  /**
+   * Replaces all synonyms added to existing foods and saves them to local storage.
+   *
+   * @param synonyms
+   *   Rows containing the name of the food and the synonym.
+   */
+  replaceAllSynonyms(synonyms: string[][]): void {
+    // load the stored data first, so the stored custom foods are saved again
+    this.getRows();
+    this.m_synonyms = synonyms;
+    this.saveToStorage();
+  }
+
+  // endregion
+
+  // region private methods
+
+  /**
+   * Loads the custom foods and synonyms.
+   */
+  private load(): void {
+    const data = this.loadFromStorage();
+    this.m_rows = data.rows;
+    this.m_synonyms = data.synonyms;
+  }
+
+  /**
+   * Loads the custom foods from local storage. Data stored by an older version is upgraded and
+   * stored again.
+   *
+   * @return The data loaded from local storage.
+   */
+  private loadFromStorage(): StorageData {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) {
+      return {version: storageSchema.customFoods.version, rows: [], synonyms: []};
+    }
+    const storedData: unknown = JSON.parse(raw);
+    const data = storageSchema.customFoods.migrate<StorageData>(storedData);
+    if (storageSchema.customFoods.needsMigration(storedData)) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    }
+    return data;
+  }
+
+  /**
+   * Saves the custom foods to local storage.
+   */
+  private saveToStorage(): void {
+    const data: StorageData = {
+      version: storageSchema.customFoods.version,
+      rows: this.m_rows!,
+      synonyms: this.m_synonyms!
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  }
+
+  // endregion
+}
+
+// endregion
+
+// region exports
+
+export const customFoodData = new CustomFoodData();
+
+// endregion
@@ -3,6 +3,54 @@
 import {FoodEntry} from "../../classes/data/FoodEntry";
 import {CompareEntry} from "../../classes/data/CompareEntry";
 import {Text} from "../../classes/support/Text";
+import {customFoodData} from "./customFoodData";
+import {FoodOrigin} from "../../types/FoodOrigin";
+import {TextMatches} from "../../types/TextMatches";
+import {FuzzySuggestion} from "../../types/FuzzySuggestion";
+
+// endregion
+
+// region local constants
+
+/**
+ * Parts of a text that are at least this similar to a food are treated as that food.
+ */
+const MATCH_SIMILARITY: number = 0.85;
+
+/**
+ * Parts of a text that are at least this similar to a food are suggested to the user.
+ */
+const SUGGEST_SIMILARITY: number = 0.7;
+
+/**
+ * Maximum number of foods suggested for a part of a text.
+ */
+const MAX_SUGGESTIONS: number = 3;
+
+/**
+ * Shorter words are not compared to the foods, too many foods are similar to them.
+ */
+const MIN_FUZZY_LENGTH: number = 4;
+
+/**
+ * Maximum number of words of a part of a text that is compared to the foods.
+ */
+const MAX_FUZZY_WORDS: number = 2;
+
+/**
+ * A food name written as one word (like "sweetcorn") can be dictated as two words.
+ */
+const MIN_MATCH_WORDS: number = 2;
+
+/**
+ * Common words in a dictated text that are never compared to the foods and are not reported as
+ * unrecognized.
+ */
+const FILLER_WORDS: string[] = [
+  'a', 'an', 'and', 'or', 'the', 'i', 'we', 'me', 'my', 'it', 'of', 'for', 'to', 'in', 'on', 'at',
+  'had', 'ate', 'eat', 'was', 'bit', 'few', 'lot', 'lots', 'also', 'with', 'some', 'then', 'have',
+  'were', 'that', 'this', 'there', 'little', 'plus', 'stop', 'done', 'finish'
+];
 
 // endregion
 
@@ -12,7 +60,7 @@ class FoodData {
   // region private variables
 
   /**
-   * The list of food entries loaded from the input data.
+   * The list of food entries loaded from the input data and the custom foods.
    */
   private m_foodEntries: FoodEntry[] = [];
 
@@ -26,6 +74,22 @@ class FoodData {
    */
   private m_compareItemsByOriginal: CompareEntry[] = [];
 
+  /**
+   * Compare items mapped by normalized value. If multiple items have the same normalized value,
+   * the first one is used.
+   */
+  private m_compareItemsByNormalized: Map<string, CompareEntry> = new Map();
+
+  /**
+   * The largest number of words in the original value of a compare item.
+   */
+  private m_maxWordCount: number = MIN_MATCH_WORDS;
+
+  /**
+   * Food entries for names that are not part of the food data, mapped by name.
+   */
+  private m_unknownFoods: Map<string, FoodEntry> = new Map();
+
   // endregion
 
   // region public methods
@@ -34,9 +98,86 @@ class FoodData {
   }
 
   import(rows: string[][]) {
+    this.m_unknownFoods.clear();
     this.processRows(rows);
+    this.processCustomRows(customFoodData.getRows());
     this.buildCompareItems();
     this.sortCompareItems();
+    this.mapCompareItems();
+  }
+
+  /**
+   * Creates a new custom food and adds it to the food data. An error is thrown if the name or
+   * category is empty or if a food with the same name already exists.
+   *
+   * @param name
+   * @param category
+   * @param synonyms
+   *   Synonyms separated by commas.
+   *
+   * @return The compare entry for the name of the new food.
+   */
+  addCustomFood(name: string, category: string, synonyms: string): CompareEntry {
+    const normalizedName = Text.normalizeName(name);
+    if (!normalizedName) {
+      throw new Error('Please enter a name.');
+    }
+    if (!Text.normalizeName(category)) {
+      throw new Error('Please enter a category.');
+    }
+    if (this.hasFood(normalizedName)) {
+      throw new Error(`A food with the name "${normalizedName}" already exists.`);
+    }
+    const food = new FoodEntry(customFoodData.add(name, category, synonyms), FoodOrigin.Custom);
+    this.m_foodEntries.push(food);
+    this.buildCompareItems();
+    this.sortCompareItems();
+    this.mapCompareItems();
+    return this.m_compareItemsByOriginal.find(
+      entry => (entry.food === food) && (entry.original === food.name)
+    )!;
+  }
+
+  /**
+   * Adds a synonym to an existing food, so the food is recognized by that name as well. An error
+   * is thrown if the synonym is empty or already used for a food.
+   *
+   * @param food
+   * @param synonym
+   *
+   * @return The compare entry for the new synonym.
+   */
+  addSynonym(food: FoodEntry, synonym: string): CompareEntry {
+    const normalizedSynonym = Text.normalizeName(synonym);
+    if (!Text.normalizeForComparison(normalizedSynonym)) {
+      throw new Error('Please enter a synonym.');
+    }
+    const existing = this.m_compareItemsByNormalized.get(
+      Text.normalizeForComparison(normalizedSynonym)
+    );
+    if (existing != null) {
+      throw new Error(`"${normalizedSynonym}" is already used for "${existing.food.name}".`);
+    }
+    customFoodData.addSynonym(food.name, normalizedSynonym);
+    const entry = new CompareEntry(normalizedSynonym, food);
+    this.m_compareItemsByLength.push(entry);
+    this.m_compareItemsByOriginal.push(entry);
+    this.sortCompareItems();
+    this.mapCompareItems();
+    return entry;
+  }
+
+  /**
+   * Checks if the rows can be used as food data. An error is thrown if the rows do not contain any
+   * food.
+   *
+   * @param rows
+   */
+  validate(rows: string[][]): void {
+    const foodCount = rows.filter(row => (row.length > 1) && Text.normalizeName(row[0])).length;
+    if (foodCount === 0) {
+      throw new Error('No foods found, each row should contain at least a name and a category.');
+    }
   }
 
   /**
@@ -50,6 +191,38 @@ class FoodData {
     return this.m_foodEntries.find(entry => entry.name === name) || null;
   }
 
+  /**
+   * Returns all food entries of the food data.
+   */
+  getFoods(): FoodEntry[] {
+    return this.m_foodEntries;
+  }
+
+  /**
+   * Returns all categories used by the foods, sorted by name.
+   */
+  getCategories(): string[] {
+    const categories = new Set<string>(this.m_foodEntries.map(food => food.category));
+    return [...categories].sort((first, second) => first.localeCompare(second));
+  }
+
+  /**
+   * Gets the food entry to use for a name that is not part of the food data. The same food entry
+   * is returned for the same name.
+   *
+   * @param name
+   *
+   * @return A food entry for which {@link FoodEntry.isUnknown} is true.
+   */
+  getUnknownFood(name: string): FoodEntry {
+    let food = this.m_unknownFoods.get(name);
+    if (food == null) {
+      food = FoodEntry.createUnknown(name);
+      this.m_unknownFoods.set(name, food);
+    }
+    return food;
+  }
+
   /**
    * Returns the list of compare items sorted by original value.
    */
@@ -61,19 +234,40 @@ class FoodData {
    * Processes the input text and return all compare items that match any of the
    * compare original values found in the input text.
    *
+   * The text is split into words; a compare item only matches complete consecutive words, so a
+   * short food is not found inside a longer word (like "rice" in "licorice"). The words are
+   * compared without the spaces between them, so "ice cream" also matches "icecream". Parts with
+   * more words are matched first and every word is used in at most one match.
+   *
+   * Words that remain after the literal matches are compared to all compare items, so
+   * misspelled foods (for example by speech recognition) are found as well. Words that are
+   * spelled almost the same as a compare item are matched, words that are less similar are
+   * returned as suggestions.
+   *
    * @param text
    *
-   * @return A list of compare items that match any of the original values found in the input text.
+   * @return The compare items that match any of the original values found in the input text and
+   *   the suggestions for words that might be foods.
    */
-  processText(text: string): CompareEntry[] {
-    const result: CompareEntry[] = [];
-    let normalizedText = Text.normalizeForComparison(text);
-    this.m_compareItemsByLength.forEach(compareItem => {
-      if (normalizedText.includes(compareItem.normalized)) {
-        result.push(compareItem);
-        normalizedText = normalizedText.replaceAll(compareItem.normalized, '');
+  processText(text: string): TextMatches {
+    const result: TextMatches = {entries: [], suggestions: [], unrecognized: []};
+    const words = Text.getWords(text);
+    const stems = words.map(word => Text.stem(word));
+    const usedWords = new Set<number>();
+    this.matchParts(words.length, this.m_maxWordCount, usedWords, (start, count) => {
+      const compareItem = this.m_compareItemsByNormalized.get(
+        stems.slice(start, start + count).join('')
+      );
+      if (compareItem == null) {
+        return false;
       }
+      if (!result.entries.includes(compareItem)) {
+        result.entries.push(compareItem);
+      }
+      return true;
     });
+    this.processFuzzyMatches(words, usedWords, result);
+    result.unrecognized = this.getUnrecognizedParts(words, usedWords);
     return result;
   }
 
@@ -81,6 +275,133 @@ class FoodData {
 
   // region private methods
 
+  /**
+   * Calls a match function for every part of consecutive words of a text, starting with the
+   * parts with the most words. Parts that contain a word that has been used are skipped.
+   *
+   * @param wordCount
+   *   The number of words in the text.
+   * @param maxPartWordCount
+   *   The maximum number of words in a part.
+   * @param usedWords
+   *   The indices of the words that have been used, the words of a matched part are added.
+   * @param match
+   *   Is called with the index of the first word and the number of words of a part, it should
+   *   return true if the part matched.
+   */
+  private matchParts(
+    wordCount: number,
+    maxPartWordCount: number,
+    usedWords: Set<number>,
+    match: (start: number, count: number) => boolean
+  ): void {
+    for (let count = maxPartWordCount; count > 0; count--) {
+      for (let start = 0; start + count <= wordCount; start++) {
+        const indices = Array.from({length: count}, (_, index) => start + index);
+        if (!indices.some(index => usedWords.has(index)) && match(start, count)) {
+          indices.forEach(index => usedWords.add(index));
+        }
+      }
+    }
+  }
+
+  /**
+   * Compares the parts of a text that did not match literally to the compare items. Parts of
+   * multiple words are compared first, every word is used in at most one match or suggestion.
+   *
+   * @param words
+   *   The words of the input text.
+   * @param usedWords
+   *   The indices of the words that matched literally.
+   * @param result
+   *   The matches and suggestions are added to this result.
+   */
+  private processFuzzyMatches(words: string[], usedWords: Set<number>, result: TextMatches): void {
+    this.matchParts(words.length, MAX_FUZZY_WORDS, usedWords, (start, count) => {
+      const part = words.slice(start, start + count);
+      const normalizedPart = Text.normalizeForComparison(part.join(' '));
+      if (
+        part.some(word => FILLER_WORDS.includes(word)) ||
+        (normalizedPart.length < MIN_FUZZY_LENGTH)
+      ) {
+        return false;
+      }
+      const suggestion = this.findSimilar(part.join(' '), normalizedPart);
+      if (suggestion == null) {
+        return false;
+      }
+      const [entry] = suggestion.entries;
+      if (Text.getSimilarity(normalizedPart, entry.normalized) >= MATCH_SIMILARITY) {
+        if (!result.entries.some(item => item.food === entry.food)) {
+          result.entries.push(entry);
+        }
+      }
+      else {
+        result.suggestions.push(suggestion);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Gets the parts of consecutive words that have not been used. Filler words and numbers
+   * separate the parts and are not part of the result.
+   *
+   * @param words
+   *   The words of the input text.
+   * @param usedWords
+   *   The indices of the words that matched or resulted in a suggestion.
+   *
+   * @return The unused parts, without duplicates.
+   */
+  private getUnrecognizedParts(words: string[], usedWords: Set<number>): string[] {
+    const result: string[] = [];
+    let part: string[] = [];
+    [...words, ''].forEach((word, index) => {
+      const isUnrecognized = (word !== '') && !usedWords.has(index) &&
+        !FILLER_WORDS.includes(word) && !/^\p{N}+$/u.test(word);
+      if (isUnrecognized) {
+        part.push(word);
+        return;
+      }
+      if ((part.length > 0) && !result.includes(part.join(' '))) {
+        result.push(part.join(' '));
+      }
+      part = [];
+    });
+    return result;
+  }
+
+  /**
+   * Finds the compare items that are similar to a part of a text.
+   *
+   * @param text
+   *   The part of the text.
+   * @param normalizedText
+   *   The normalized part of the text.
+   *
+   * @return The similar compare items of different foods, or null if none is similar enough.
+   */
+  private findSimilar(text: string, normalizedText: string): FuzzySuggestion | null {
+    const length = normalizedText.length;
+    const candidates = this.m_compareItemsByLength
+      // items whose length differs too much can never be similar enough
+      .filter(
+        item => Math.abs(item.normalized.length - length) <=
+          (1 - SUGGEST_SIMILARITY) * Math.max(item.normalized.length, length)
+      )
+      .map(item => ({item, similarity: Text.getSimilarity(normalizedText, item.normalized)}))
+      .filter(candidate => candidate.similarity >= SUGGEST_SIMILARITY)
+      .sort((first, second) => second.similarity - first.similarity);
+    const entries: CompareEntry[] = [];
+    candidates.forEach(({item}) => {
+      if ((entries.length < MAX_SUGGESTIONS) && !entries.some(entry => entry.food === item.food)) {
+        entries.push(item);
+      }
+    });
+    return entries.length > 0 ? {text, entries} : null;
+  }
+
   private processRows(rows: string[][]) {
     this.m_foodEntries = [];
     rows.forEach((row) => {
@@ -98,9 +419,22 @@ class FoodData {
     console.debug(`Processed ${this.m_foodEntries.length} foods from ${rows.length} rows`);
   }
 
+  private processCustomRows(rows: string[][]) {
+    rows.forEach((row) => {
+      const name = Text.normalizeName(row[0]);
+      if (this.hasFood(name)) {
+        console.warn(`Custom food "${name}" is also part of the food data, skipping custom food`);
+      }
+      else {
+        this.m_foodEntries.push(new FoodEntry(row, FoodOrigin.Custom));
+      }
+    });
+  }
+
   private buildCompareItems() {
     this.m_compareItemsByLength = [];
     this.m_foodEntries.forEach(food => this.addFoodToCompareItems(food));
+    this.addCustomSynonymsToCompareItems();
     this.m_compareItemsByOriginal = [...this.m_compareItemsByLength];
   }
 
@@ -111,10 +445,39 @@ class FoodData {
     );
   }
 
+  /**
+   * Adds the synonyms the user added to existing foods. Synonyms of foods that are no longer part
+   * of the food data are skipped.
+   */
+  private addCustomSynonymsToCompareItems() {
+    customFoodData.getSynonyms().forEach(([foodName, synonym]) => {
+      const food = this.findForName(foodName);
+      if (food != null) {
+        this.m_compareItemsByLength.push(new CompareEntry(synonym, food));
+      }
+    });
+  }
+
   private hasFood(name: string): boolean {
     return this.m_foodEntries.some(food => food.name === name);
   }
 
+  /**
+   * Maps the compare items by normalized value, the longest original value first.
+   */
+  private mapCompareItems() {
+    this.m_compareItemsByNormalized = new Map();
+    this.m_maxWordCount = MIN_MATCH_WORDS;
+    this.m_compareItemsByLength.forEach(compareItem => {
+      if (!this.m_compareItemsByNormalized.has(compareItem.normalized)) {
+        this.m_compareItemsByNormalized.set(compareItem.normalized, compareItem);
+      }
+      this.m_maxWordCount = Math.max(
+        this.m_maxWordCount, Text.getWords(compareItem.original).length
+      );
+    });
+  }
+
   private sortCompareItems() {
     // sort by normalized name length in descending order to ensure that longer names are
     // matched first
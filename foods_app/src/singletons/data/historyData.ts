@@ -1,48 +1,196 @@
-// region local constants
+// region imports
 
 import {HistoryEntry} from "../../classes/data/HistoryEntry";
-import {CompareEntry} from "../../classes/data/CompareEntry";
+import {ConfirmEntry} from "../../classes/data/ConfirmEntry";
 import {WeekEntry} from "../../classes/data/WeekEntry";
 import {settings} from "../main/settings";
 import {FoodEntry} from "../../classes/data/FoodEntry";
+import {historyStorage} from "./historyStorage";
+import {foodData} from "./foodData";
+import {HistoryStorageData} from "../../types/HistoryStorageData";
+import {HistoryTrashData} from "../../types/HistoryTrashData";
+import {Tools} from "../../classes/support/Tools";
+import {Meal} from "../../types/Meal";
+
+// endregion
+
+// region local constants
+
+/**
+ * Maximum number of changes that can be undone.
+ */
+const MAX_UNDO_ACTIONS: number = 20;
 
-const STORAGE_KEY: string = 'historyData';
+/**
+ * Number of days a cleared history is kept in the trash.
+ */
+const TRASH_DAYS: number = 30;
 
 // endregion
 
 // region local type
 
+/**
+ * A change to the history that can be undone.
+ */
+type UndoAction = {
+  description: string;
+  undo: () => Promise<void>;
+  /**
+   * The id of the cleared history in the trash the action restores, null for other actions.
+   */
+  trashId: number | null;
+}
+
 class HistoryData {
   // region private variables
 
   private m_historyEntries: HistoryEntry[] = [];
 
+  private m_isLoaded: boolean = false;
+
+  /**
+   * Resolves once the history entries have been loaded, null while loading has not started.
+   */
+  private m_loading: Promise<void> | null = null;
+
+  private m_changeListeners: (() => void)[] = [];
+
+  private m_undoActions: UndoAction[] = [];
+
+  private m_undoListeners: ((description: string) => void)[] = [];
+
+  /**
+   * Resolves once all entries that are being added have been stored.
+   */
+  private m_adding: Promise<unknown> = Promise.resolve();
+
   // endregion
 
   // region public methods
 
   /**
-   * Initializes the history data by loading the history entries from local storage and
-   * sorting them.
+   * Initializes the history data by loading the history entries from the storage and
+   * sorting them. The listeners are called once the entries have been loaded.
    * Make sure the {@link foodData} is initialized before calling this method.
    */
-  initialize() {
-    this.m_historyEntries = this.loadFromStorage();
-    this.sortEntries();
+  async initialize(): Promise<void> {
+    this.m_loading = this.load();
+    await this.m_loading;
   }
 
   /**
-   * Adds the given compare entries to the history. This method will also save the updated history
-   * and resort the history entries.
+   * Waits until the history entries have been loaded from the storage. An error is thrown if
+   * loading failed or has not been started.
+   */
+  async waitForLoad(): Promise<void> {
+    if (this.m_loading == null) {
+      throw new Error('The history has not been loaded.');
+    }
+    await this.m_loading;
+  }
+
+  /**
+   * Updates the food of all history entries. Call this method after the {@link foodData} has
+   * been imported again.
+   */
+  resolveFoods(): void {
+    this.m_historyEntries = this.m_historyEntries.map(
+      entry => entry.withFood(
+        foodData.findForName(entry.food.name) ?? foodData.getUnknownFood(entry.food.name)
+      )
+    );
+  }
+
+  /**
+   * Adds a listener that is called whenever the history entries have changed.
+   *
+   * @param listener
+   */
+  addChangeListener(listener: () => void): void {
+    this.m_changeListeners.push(listener);
+  }
+
+  /**
+   * Adds a listener that is called whenever a change that can be undone has been made.
+   *
+   * @param listener
+   *   Called with a description of the change.
+   */
+  addUndoListener(listener: (description: string) => void): void {
+    this.m_undoListeners.push(listener);
+  }
+
+  /**
+   * Undoes the last change to the history (if any).
+   */
+  async undo(): Promise<void> {
+    const action = this.m_undoActions.pop();
+    if (action) {
+      await action.undo();
+    }
+  }
+
+  /**
+   * Adds the given confirm entries to the history. This method will also resort the history
+   * entries and store the new entries.
    *
    * @param entries
+   * @param date
+   *   The date and time the entries were consumed, defaults to the current date and time.
+   * @param meal
+   *   The meal the entries were part of.
    */
-  add(entries: CompareEntry[]) {
-    entries.forEach(
-      entry => this.m_historyEntries.push(HistoryEntry.createFromInput(entry))
+  async add(
+    entries: ConfirmEntry[], date: Date = new Date(), meal: Meal | null = null
+  ): Promise<void> {
+    const historyEntries = entries.map(entry => HistoryEntry.createFromInput(entry, date, meal));
+    await this.addEntries(historyEntries);
+    this.pushUndo(
+      historyEntries.length === 1
+        ? `Added "${historyEntries[0].consumedName}"`
+        : `Added ${historyEntries.length} foods`,
+      () => this.removeEntries(historyEntries.map(entry => entry.id!))
     );
-    this.sortEntries();
-    this.saveToStorage(this.m_historyEntries);
+  }
+
+  /**
+   * Imports history entries. Entries that already exist in the history (same food, consumed name
+   * and date) are skipped. This method will also resort the history entries and store the new
+   * entries.
+   *
+   * @param entries
+   * @param replace
+   *   When true, the current history is removed first.
+   */
+  async import(entries: HistoryEntry[], replace: boolean): Promise<void> {
+    // entries loaded afterwards would be added again
+    await this.waitForLoad();
+    // the stored actions might no longer match the history
+    this.m_undoActions = [];
+    if (replace) {
+      this.m_historyEntries = [];
+      await historyStorage.clear();
+    }
+    const keys = new Set<string>(this.m_historyEntries.map(entry => entry.toJson()));
+    const newEntries = entries.filter(entry => {
+      const key = entry.toJson();
+      if (keys.has(key)) {
+        return false;
+      }
+      keys.add(key);
+      return true;
+    });
+    await this.addEntries(newEntries);
+  }
+
+  /**
+   * Gets all history entries.
+   *
+   * @return The history entries sorted in descending order by date.
+   */
+  getEntries(): HistoryEntry[] {
+    return this.m_historyEntries;
   }
 
   /**
@@ -89,49 +237,239 @@ class HistoryData {
   }
 
   /**
-   * Clears the history by removing all history entries and saving the empty history to local
-   * storage.
+   * Suggests foods that have not been eaten this week and count towards the goal. Foods eaten in
+   * previous weeks are suggested first, since those are likely to be eaten again. Foods from
+   * categories with fewer foods this week are favored, every suggested food counts as a food of
+   * its category, so the suggestions are spread over the categories.
+   *
+   * @param count
+   *   Maximum number of suggestions.
+   *
+   * @return The suggested foods, best suggestion first.
    */
-  clear(): void {
-    this.m_historyEntries = [];
-    this.saveToStorage(this.m_historyEntries);
+  getSuggestions(count: number): FoodEntry[] {
+    const week = this.getCountForToday();
+    const eatenNames = new Set<string>(
+      this.getListForWeek(week).map(entry => entry.food.name)
+    );
+    // the number of different previous weeks each food was eaten in
+    const pastWeeks = new Map<string, Set<number>>();
+    this.m_historyEntries
+      .filter(entry => entry.date < week.startDate)
+      .forEach(entry => {
+        const weeks = pastWeeks.get(entry.food.name) ?? new Set<number>();
+        weeks.add(this.startOfWeek(entry.date).getTime());
+        pastWeeks.set(entry.food.name, weeks);
+      });
+    const categoryCounts = new Map<string, number>();
+    week.foods.forEach(
+      food => categoryCounts.set(food.category, (categoryCounts.get(food.category) ?? 0) + 1)
+    );
+    const getPastWeekCount = (food: FoodEntry) => pastWeeks.get(food.name)?.size ?? 0;
+    const getCategoryCount = (food: FoodEntry) => categoryCounts.get(food.category) ?? 0;
+    const candidates = foodData.getFoods().filter(
+      food => !eatenNames.has(food.name) && (this.getWeight(food) > 0)
+    );
+    const result: FoodEntry[] = [];
+    while ((result.length < count) && (candidates.length > 0)) {
+      candidates.sort((first, second) =>
+        Number(getPastWeekCount(second) > 0) - Number(getPastWeekCount(first) > 0) ||
+        getCategoryCount(first) - getCategoryCount(second) ||
+        getPastWeekCount(second) - getPastWeekCount(first) ||
+        first.name.localeCompare(second.name)
+      );
+      const food = candidates.shift()!;
+      result.push(food);
+      categoryCounts.set(food.category, getCategoryCount(food) + 1);
+    }
+    return result;
   }
 
-  // endregion
+  /**
+   * Replaces the food of all history entries that refer to the given unknown food. Use this to
+   * connect entries of a food that was renamed or removed from the food data to an existing food.
+   *
+   * @param unknownFood
+   * @param food
+   */
+  async remap(unknownFood: FoodEntry, food: FoodEntry): Promise<void> {
+    // entries that are still being stored have no id yet, storing them again would add them twice
+    await this.m_adding;
+    const originals: HistoryEntry[] = [];
+    const changed: HistoryEntry[] = [];
+    this.m_historyEntries = this.m_historyEntries.map(entry => {
+      if (entry.food !== unknownFood) {
+        return entry;
+      }
+      const result = entry.withFood(food);
+      originals.push(entry);
+      changed.push(result);
+      return result;
+    });
+    this.notifyChange();
+    await historyStorage.update(changed.map(entry => this.getStorageData(entry)));
+    this.pushUndo(
+      `Changed "${unknownFood.name}" to "${food.name}"`, () => this.restoreEntries(originals)
+    );
+  }
 
-  // region private methods
+  /**
+   * Removes a single history entry from memory and storage.
+   *
+   * @param entry
+   */
+  async delete(entry: HistoryEntry): Promise<void> {
+    await this.removeEntries([await this.getStoredId(entry)]);
+    this.pushUndo(`Deleted "${entry.consumedName}"`, () => this.restoreEntries([entry]));
+  }
 
   /**
-   * Loads the history entries from local storage.
+   * Changes the date and time of a history entry.
    *
-   * @return The history entries loaded from local storage.
+   * @param entry
+   * @param date
    */
-  private loadFromStorage(): HistoryEntry[] {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) {
-      return [];
+  async changeDate(entry: HistoryEntry, date: Date): Promise<void> {
+    await this.getStoredId(entry);
+    await this.restoreEntries([entry.withDate(date)]);
+    this.pushUndo(
+      `Changed the date of "${entry.consumedName}"`, () => this.restoreEntries([entry])
+    );
+  }
+
+  /**
+   * Changes the food of a single history entry.
+   *
+   * @param entry
+   * @param food
+   */
+  async changeFood(entry: HistoryEntry, food: FoodEntry): Promise<void> {
+    await this.getStoredId(entry);
+    await this.restoreEntries([entry.withFood(food)]);
+    this.pushUndo(
+      `Changed "${entry.consumedName}" to "${food.name}"`, () => this.restoreEntries([entry])
+    );
+  }
+
+  /**
+   * Clears the history by moving all history entries to the trash. If that fails, the entries
+   * are shown again.
+   */
+  async clear(): Promise<void> {
+    // entries loaded afterwards would be added again
+    await this.waitForLoad();
+    const entries = this.m_historyEntries;
+    this.m_historyEntries = [];
+    this.notifyChange();
+    let trashId: number;
+    try {
+      trashId = await historyStorage.moveToTrash({
+        clearDate: new Date().toISOString(),
+        entries: entries.map(entry => this.getStorageData(entry))
+      });
+    }
+    catch (error) {
+      this.m_historyEntries = [...entries, ...this.m_historyEntries];
+      this.sortEntries();
+      this.notifyChange();
+      throw error;
     }
-    const texts: string[] = JSON.parse(raw);
-    return texts.map(text => HistoryEntry.createFromStorage(text));
+    this.pushUndo('Cleared the history', () => this.restoreFromTrash(trashId), trashId);
   }
 
   /**
-   * Saves the given history entries to local storage.
+   * Gets the cleared histories in the trash. Cleared histories older than {@link TRASH_DAYS} days
+   * are removed from the trash.
    *
-   * @param entries
+   * @return The cleared histories sorted in descending order by clear date.
    */
-  private saveToStorage(entries: HistoryEntry[]) {
-    const texts: string[] = entries.map(entry => entry.toJson());
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(texts));
+  async getTrash(): Promise<HistoryTrashData[]> {
+    const now = new Date();
+    const items = await historyStorage.loadTrash();
+    const expired = items.filter(
+      item => Tools.daysBetween(new Date(item.clearDate), now) > TRASH_DAYS
+    );
+    if (expired.length > 0) {
+      await this.removeFromTrash(expired.map(item => item.id!));
+    }
+    return items
+      .filter(item => !expired.includes(item))
+      .sort((first, second) => second.clearDate.localeCompare(first.clearDate));
   }
 
   /**
-   * Sorts the history entries in descending order by date (most recent first).
+   * Moves the entries of a cleared history in the trash back to the history.
+   *
+   * @param id
+   *   The id of the cleared history in the trash.
    */
-  private sortEntries() {
-    this.m_historyEntries.sort(
-      (first, second) => second.date.getTime() - first.date.getTime()
+  async restoreFromTrash(id: number): Promise<void> {
+    const items = await historyStorage.restoreFromTrash(id);
+    this.removeTrashUndoActions([id]);
+    this.setEntries(items.map(item => HistoryEntry.createFromStorageData(item)));
+  }
+
+  /**
+   * Removes all cleared histories from the trash.
+   */
+  async emptyTrash(): Promise<void> {
+    const items = await historyStorage.loadTrash();
+    await this.removeFromTrash(items.map(item => item.id!));
+  }
+
+  /**
+   * Gets the week entry for a certain date. Only entries that count towards the goal are used,
+   * the count is the total of the weights of their foods.
+   *
+   * @param date
+   *
+   * @return The week entry for the given date.
+   */
+  getWeekEntryForDate(date: Date): WeekEntry {
+    const startDate = this.startOfWeek(date);
+    const endDate = this.endOfWeek(startDate);
+    const foods = new Set<FoodEntry>();
+    this.m_historyEntries
+      .filter(
+        entry => (entry.date >= startDate) && (entry.date <= endDate) &&
+          this.isCounted(entry, endDate) && (this.getWeight(entry.food, endDate) > 0)
+      )
+      .forEach(
+        entry => foods.add(entry.food)
+      );
+    const count = [...foods].reduce(
+      (total, food) => total + this.getWeight(food, endDate), 0
     );
+    return new WeekEntry(startDate, endDate, foods, count, settings.getGoalForWeek(endDate));
+  }
+
+  /**
+   * Checks if an entry counts towards the goal. Entries with a portion smaller than the minimum
+   * portion that was in effect for the week are not counted; entries without a portion are always
+   * counted.
+   *
+   * @param entry
+   * @param endOfWeek
+   *   The end of the week the entry belongs to, the current week by default.
+   *
+   * @return True if the entry is counted.
+   */
+  isCounted(entry: HistoryEntry, endOfWeek: Date = new Date()): boolean {
+    return (entry.portion == null) ||
+      (entry.portion.grams >= settings.getMinimumPortionForWeek(endOfWeek));
+  }
+
+  /**
+   * Gets the number of points a food adds to the total of a week.
+   *
+   * @param food
+   * @param endOfWeek
+   *   The end of the week, the current week by default.
+   *
+   * @return The weight of the category of the food, 0 if the food does not count.
+   */
+  getWeight(food: FoodEntry, endOfWeek: Date = new Date()): number {
+    return settings.getCategoryWeight(food.category, endOfWeek);
   }
 
   /**
@@ -141,7 +479,7 @@ class HistoryData {
    *
    * @return The start date of the week, the time is set to 00:00:00.
    */
-  private startOfWeek(inputDate: Date|string|number): Date {
+  startOfWeek(inputDate: Date|string|number): Date {
     const date = new Date(inputDate);
     const firstDay = settings.startDayOfWeek;
     const dayDifference = (date.getDay() - firstDay + 7) % 7;
@@ -151,6 +489,183 @@ class HistoryData {
     return result;
   }
 
+  // endregion
+
+  // region public properties
+
+  /**
+   * True once the history entries have been loaded from the storage.
+   */
+  get isLoaded(): boolean {
+    return this.m_isLoaded;
+  }
+
+  // endregion
+
+  // region private methods
+
+  /**
+   * Loads the history entries from the storage, entries that were added while loading are kept.
+   */
+  private async load(): Promise<void> {
+    const entries = (await historyStorage.load()).map(
+      data => HistoryEntry.createFromStorageData(data)
+    );
+    // keep entries that were added while loading
+    const ids = new Set<number | null>(entries.map(entry => entry.id));
+    this.m_historyEntries = [
+      ...entries,
+      ...this.m_historyEntries.filter(entry => !ids.has(entry.id))
+    ];
+    this.sortEntries();
+    this.m_isLoaded = true;
+    this.notifyChange();
+  }
+
+  /**
+   * Adds history entries to memory and storage. The ids of the entries are set once they have
+   * been stored. If storing fails, the entries are removed from memory again.
+   *
+   * @param entries
+   */
+  private async addEntries(entries: HistoryEntry[]): Promise<void> {
+    this.m_historyEntries.push(...entries);
+    this.sortEntries();
+    this.notifyChange();
+    const adding = historyStorage.add(entries.map(entry => entry.toStorageData())).then(
+      ids => entries.forEach((entry, index) => entry.id = ids[index])
+    );
+    this.m_adding = Promise.allSettled([this.m_adding, adding]);
+    try {
+      await adding;
+    }
+    catch (error) {
+      this.m_historyEntries = this.m_historyEntries.filter(entry => !entries.includes(entry));
+      this.notifyChange();
+      throw error;
+    }
+  }
+
+  /**
+   * Removes history entries from memory and storage.
+   *
+   * @param ids
+   */
+  private async removeEntries(ids: number[]): Promise<void> {
+    this.m_historyEntries = this.m_historyEntries.filter(entry => !ids.includes(entry.id!));
+    this.notifyChange();
+    await historyStorage.remove(ids);
+  }
+
+  /**
+   * Stores history entries in memory and storage, replacing the entries with the same id.
+   *
+   * @param entries
+   *   Entries that have been stored before.
+   */
+  private async restoreEntries(entries: HistoryEntry[]): Promise<void> {
+    this.setEntries(entries);
+    await historyStorage.update(entries.map(entry => this.getStorageData(entry)));
+  }
+
+  /**
+   * Adds history entries to memory, replacing the entries with the same id.
+   *
+   * @param entries
+   *   Entries that have been stored.
+   */
+  private setEntries(entries: HistoryEntry[]): void {
+    const ids = entries.map(entry => entry.id);
+    this.m_historyEntries = [
+      ...this.m_historyEntries.filter(entry => !ids.includes(entry.id)),
+      ...entries
+    ];
+    this.sortEntries();
+    this.notifyChange();
+  }
+
+  /**
+   * Adds an action to undo a change and calls the undo listeners.
+   *
+   * @param description
+   * @param undo
+   * @param trashId
+   *   The id of the cleared history in the trash the action restores.
+   */
+  private pushUndo(
+    description: string, undo: () => Promise<void>, trashId: number | null = null
+  ): void {
+    this.m_undoActions.push({description, undo, trashId});
+    if (this.m_undoActions.length > MAX_UNDO_ACTIONS) {
+      this.m_undoActions.shift();
+    }
+    this.m_undoListeners.forEach(listener => listener(description));
+  }
+
+  /**
+   * Removes cleared histories from the trash, including the actions to restore them.
+   *
+   * @param ids
+   *   The ids of the cleared histories in the trash.
+   */
+  private async removeFromTrash(ids: number[]): Promise<void> {
+    await historyStorage.removeFromTrash(ids);
+    this.removeTrashUndoActions(ids);
+  }
+
+  /**
+   * Removes the actions that restore cleared histories, once these are no longer in the trash.
+   *
+   * @param ids
+   *   The ids of the cleared histories in the trash.
+   */
+  private removeTrashUndoActions(ids: number[]): void {
+    this.m_undoActions = this.m_undoActions.filter(
+      action => (action.trashId == null) || !ids.includes(action.trashId)
+    );
+  }
+
+  /**
+   * Gets the id of an entry. If the entry is still being stored, this waits until it has been
+   * stored. An error is thrown if the entry could not be stored.
+   *
+   * @param entry
+   */
+  private async getStoredId(entry: HistoryEntry): Promise<number> {
+    if (entry.id == null) {
+      await this.m_adding;
+    }
+    if (entry.id == null) {
+      throw new Error('The history entry has not been stored.');
+    }
+    return entry.id;
+  }
+
+  /**
+   * Gets the storage data of an entry including its id.
+   *
+   * @param entry
+   */
+  private getStorageData(entry: HistoryEntry): HistoryStorageData {
+    return {...entry.toStorageData(), id: entry.id ?? undefined};
+  }
+
+  /**
+   * Calls all change listeners.
+   */
+  private notifyChange(): void {
+    this.m_changeListeners.forEach(listener => listener());
+  }
+
+  /**
+   * Sorts the history entries in descending order by date (most recent first).
+   */
+  private sortEntries() {
+    this.m_historyEntries.sort(
+      (first, second) => second.date.getTime() - first.date.getTime()
+    );
+  }
+
   /**
    * Returns the end date of the week.
    *
@@ -165,27 +680,6 @@ class HistoryData {
     return result;
   }
 
-  /**
-   * Gets the week entry for a certain date.
-   *
-   * @param date
-   *
-   * @return The week entry for the given date.
-   */
-  private getWeekEntryForDate(date: Date): WeekEntry {
-    const startDate = this.startOfWeek(date);
-    const endDate = this.endOfWeek(startDate);
-    const foods = new Set<FoodEntry>();
-    this.m_historyEntries
-      .filter(
-        entry => (entry.date >= startDate) && (entry.date <= endDate)
-      )
-      .forEach(
-        entry => foods.add(entry.food)
-      );
-    return new WeekEntry(startDate, endDate, foods);
-  }
-
   // endregion
 }
 
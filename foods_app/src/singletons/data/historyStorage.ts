@@ -0,0 +1,351 @@
+// region imports
+
+import {HistoryStorageData} from "../../types/HistoryStorageData";
+import {storageSchema} from "./storageSchema";
+import {HistoryTrashData} from "../../types/HistoryTrashData";
+
+// endregion
+
+// region local constants
+
+const DATABASE_NAME: string = '20foods';
+
+const DATABASE_VERSION: number = 2;
+
+const HISTORY_STORE: string = 'history';
+
+const TRASH_STORE: string = 'trash';
+
+const DATE_INDEX: string = 'date';
+
+const FOOD_NAME_INDEX: string = 'foodName';
+
+/**
+ * Local storage key used by previous versions to store the history.
+ */
+const LEGACY_STORAGE_KEY: string = 'historyData';
+
+// endregion
+
+// region local types
+
+/**
+ * Stores the history entries in an IndexedDB database. Each history entry is stored as separate
+ * record, using an auto incremented id as key. A cleared history is moved to a separate trash
+ * store, so it can be restored.
+ *
+ * When the database is created, the history stored in local storage by previous versions is
+ * moved to the database. Records stored with an older schema version are upgraded when they are
+ * loaded.
+ */
+class HistoryStorage {
+  // region private variables
+
+  private m_database: Promise<IDBDatabase> | null = null;
+
+  // endregion
+
+  // region public methods
+
+  /**
+   * Loads all stored history entries. Records with an older schema version are upgraded and
+   * stored again.
+   *
+   * @return The stored data, including the id of each entry.
+   */
+  async load(): Promise<HistoryStorageData[]> {
+    const store = await this.getStore('readonly');
+    const items: unknown[] = await this.request(store.getAll());
+    const result = items.map(item => storageSchema.history.migrate<HistoryStorageData>(item));
+    const upgraded = result.filter(
+      (item, index) => storageSchema.history.needsMigration(items[index])
+    );
+    if (upgraded.length > 0) {
+      await this.update(upgraded);
+      console.debug(`Upgraded ${upgraded.length} history entries`);
+    }
+    return result;
+  }
+
+  /**
+   * Adds history entries. The items should not contain an id, the database generates one.
+   *
+   * @param items
+   *
+   * @return The ids of the added entries, in the same order as the items.
+   */
+  async add(items: HistoryStorageData[]): Promise<number[]> {
+    const store = await this.getStore('readwrite');
+    const requests = items.map(item => this.request(store.add(this.withVersion(item))));
+    return (await Promise.all(requests)) as number[];
+  }
+
+  /**
+   * Updates history entries, the items must contain the id of the entry.
+   *
+   * @param items
+   */
+  async update(items: HistoryStorageData[]): Promise<void> {
+    const store = await this.getStore('readwrite');
+    await Promise.all(items.map(item => this.request(store.put(this.withVersion(item)))));
+  }
+
+  /**
+   * Removes history entries.
+   *
+   * @param ids
+   *   The ids of the entries to remove.
+   */
+  async remove(ids: number[]): Promise<void> {
+    const store = await this.getStore('readwrite');
+    await Promise.all(ids.map(id => this.request(store.delete(id))));
+  }
+
+  /**
+   * Removes all history entries.
+   */
+  async clear(): Promise<void> {
+    const store = await this.getStore('readwrite');
+    await this.request(store.clear());
+  }
+
+  /**
+   * Removes all history entries and stores them in the trash.
+   *
+   * @param data
+   *   The cleared history, it should not contain an id.
+   *
+   * @return The id of the data in the trash.
+   */
+  async moveToTrash(data: HistoryTrashData): Promise<number> {
+    const transaction = await this.getTransaction([HISTORY_STORE, TRASH_STORE], 'readwrite');
+    const request = transaction.objectStore(TRASH_STORE).add(
+      {...data, version: storageSchema.trash.version}
+    );
+    transaction.objectStore(HISTORY_STORE).clear();
+    await this.complete(transaction);
+    return request.result as number;
+  }
+
+  /**
+   * Loads all cleared histories in the trash.
+   *
+   * @return The data in the trash, including the id of each item.
+   */
+  async loadTrash(): Promise<HistoryTrashData[]> {
+    const store = await this.getStore('readonly', TRASH_STORE);
+    const items: unknown[] = await this.request(store.getAll());
+    return items.map(item => this.migrateTrash(item));
+  }
+
+  /**
+   * Moves the entries of a cleared history in the trash back to the history.
+   *
+   * @param id
+   *   The id of the data in the trash.
+   *
+   * @return The restored entries including their ids.
+   */
+  async restoreFromTrash(id: number): Promise<HistoryStorageData[]> {
+    const transaction = await this.getTransaction([HISTORY_STORE, TRASH_STORE], 'readwrite');
+    const trashStore = transaction.objectStore(TRASH_STORE);
+    const item: unknown = await this.request(trashStore.get(id));
+    if (item == null) {
+      throw new Error('The history is no longer in the trash.');
+    }
+    const data = this.migrateTrash(item);
+    const historyStore = transaction.objectStore(HISTORY_STORE);
+    const requests = data.entries.map(entry => historyStore.put(this.withVersion(entry)));
+    trashStore.delete(id);
+    await this.complete(transaction);
+    return data.entries.map(
+      (entry, index) => ({...entry, id: requests[index].result as number})
+    );
+  }
+
+  /**
+   * Removes cleared histories from the trash.
+   *
+   * @param ids
+   *   The ids of the data in the trash.
+   */
+  async removeFromTrash(ids: number[]): Promise<void> {
+    const store = await this.getStore('readwrite', TRASH_STORE);
+    await Promise.all(ids.map(id => this.request(store.delete(id))));
+  }
+
+  // endregion
+
+  // region private methods
+
+  /**
+   * Gets a store using a new transaction.
+   *
+   * @param mode
+   * @param storeName
+   */
+  private async getStore(
+    mode: IDBTransactionMode, storeName: string = HISTORY_STORE
+  ): Promise<IDBObjectStore> {
+    return (await this.getTransaction([storeName], mode)).objectStore(storeName);
+  }
+
+  /**
+   * Creates a new transaction for one or more stores.
+   *
+   * @param storeNames
+   * @param mode
+   */
+  private async getTransaction(
+    storeNames: string[], mode: IDBTransactionMode
+  ): Promise<IDBTransaction> {
+    const database = await this.open();
+    return database.transaction(storeNames, mode);
+  }
+
+  /**
+   * Opens the database. The database is only opened once.
+   */
+  private open(): Promise<IDBDatabase> {
+    if (this.m_database == null) {
+      this.m_database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        let migrated = false;
+        request.addEventListener('upgradeneeded', (event: IDBVersionChangeEvent) => {
+          migrated = this.upgradeDatabase(
+            request.result, request.transaction!, event.oldVersion
+          );
+        });
+        request.addEventListener('success', () => {
+          // only remove the legacy data after it has been stored successfully
+          if (migrated) {
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+          }
+          resolve(request.result);
+        });
+        request.addEventListener('error', () => {
+          // allow trying again
+          this.m_database = null;
+          reject(request.error);
+        });
+      });
+    }
+    return this.m_database;
+  }
+
+  /**
+   * Creates the stores and indexes that are missing in a database of an older version.
+   *
+   * @param database
+   * @param transaction
+   *   The upgrade transaction.
+   * @param oldVersion
+   *   The version of the existing database, 0 if the database did not exist.
+   *
+   * @return True if history was moved from local storage.
+   */
+  private upgradeDatabase(
+    database: IDBDatabase, transaction: IDBTransaction, oldVersion: number
+  ): boolean {
+    if (oldVersion < 2) {
+      database.createObjectStore(TRASH_STORE, {keyPath: 'id', autoIncrement: true});
+    }
+    return (oldVersion < 1) && this.createHistoryStore(database, transaction);
+  }
+
+  /**
+   * Creates the history store and its indexes and moves the history stored in local storage by
+   * previous versions to the database.
+   *
+   * @param database
+   * @param transaction
+   *   The upgrade transaction.
+   *
+   * @return True if history was moved from local storage.
+   */
+  private createHistoryStore(database: IDBDatabase, transaction: IDBTransaction): boolean {
+    const store = database.createObjectStore(HISTORY_STORE, {keyPath: 'id', autoIncrement: true});
+    store.createIndex(DATE_INDEX, 'date');
+    store.createIndex(FOOD_NAME_INDEX, 'foodName');
+    const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!raw) {
+      return false;
+    }
+    let texts: string[];
+    try {
+      texts = JSON.parse(raw);
+    }
+    catch (error) {
+      console.warn('Ignoring invalid history in local storage', error);
+      return false;
+    }
+    texts.forEach(text => {
+      try {
+        const data: HistoryStorageData = JSON.parse(text);
+        transaction.objectStore(HISTORY_STORE).add(data);
+      }
+      catch (error) {
+        console.warn(`Skipping invalid history entry: ${text}`, error);
+      }
+    });
+    console.debug(`Moved ${texts.length} history entries from local storage`);
+    return true;
+  }
+
+  /**
+   * Upgrades a cleared history from the trash and the history entries in it.
+   *
+   * @param item
+   */
+  private migrateTrash(item: unknown): HistoryTrashData {
+    const data = storageSchema.trash.migrate<HistoryTrashData>(item);
+    data.entries = data.entries.map(
+      entry => storageSchema.history.migrate<HistoryStorageData>(entry)
+    );
+    return data;
+  }
+
+  /**
+   * Sets the current schema version in the item.
+   *
+   * @param item
+   */
+  private withVersion(item: HistoryStorageData): HistoryStorageData {
+    return {...item, version: storageSchema.history.version};
+  }
+
+  /**
+   * Waits until a transaction has completed.
+   *
+   * @param transaction
+   */
+  private complete(transaction: IDBTransaction): Promise<void> {
+    return new Promise((resolve, reject) => {
+      transaction.addEventListener('complete', () => resolve());
+      transaction.addEventListener('error', () => reject(transaction.error));
+      transaction.addEventListener('abort', () => reject(transaction.error));
+    });
+  }
+
+  /**
+   * Wraps a request in a promise.
+   *
+   * @param request
+   */
+  private request<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+      request.addEventListener('success', () => resolve(request.result));
+      request.addEventListener('error', () => reject(request.error));
+    });
+  }
+
+  // endregion
+}
+
+// endregion
+
+// region exports
+
+export const historyStorage = new HistoryStorage();
+
+// endregion
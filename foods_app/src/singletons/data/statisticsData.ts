@@ -0,0 +1,179 @@
+// region imports
+
+import {historyData} from "./historyData";
+import {WeekEntry} from "../../classes/data/WeekEntry";
+import {FoodStatistic} from "../../types/FoodStatistic";
+import {FoodEntry} from "../../classes/data/FoodEntry";
+import {Badge} from "../../types/Badge";
+import {foodData} from "./foodData";
+import {settings} from "../main/settings";
+
+// endregion
+
+// region local constants
+
+/**
+ * Streak lengths in weeks that earn a badge.
+ */
+const STREAK_MILESTONES: number[] = [4, 10, 26, 52];
+
+/**
+ * Numbers of different foods ever eaten that earn a badge.
+ */
+const FOOD_MILESTONES: number[] = [50, 100, 200];
+
+// endregion
+
+// region local types
+
+/**
+ * Calculates long-term statistics from the history.
+ */
+class StatisticsData {
+  // region public methods
+
+  /**
+   * Gets the average count of the weeks that have ended, including weeks without entries.
+   *
+   * @param weeks
+   *   All weeks, as returned by `historyData.getCountsPerWeek()`.
+   *
+   * @return The average count or null if no week has ended yet.
+   */
+  getAverageCount(weeks: WeekEntry[]): number | null {
+    const now = new Date();
+    const endedWeeks = weeks.filter(week => week.endDate < now);
+    if (endedWeeks.length === 0) {
+      return null;
+    }
+    return endedWeeks.reduce((total, week) => total + week.count, 0) / endedWeeks.length;
+  }
+
+  /**
+   * Gets the number of consecutive weeks up to now in which the goal was reached. The current
+   * week only adds to the streak once its goal is reached, it does not break the streak while
+   * it is in progress.
+   *
+   * @param weeks
+   *   All weeks, newest first, as returned by `historyData.getCountsPerWeek()`.
+   *
+   * @return The number of weeks in the streak.
+   */
+  getGoalStreak(weeks: WeekEntry[]): number {
+    const now = new Date();
+    let streak = 0;
+    for (const week of weeks) {
+      if (week.isGoalReached) {
+        streak++;
+      }
+      else if (week.endDate < now) {
+        break;
+      }
+    }
+    return streak;
+  }
+
+  /**
+   * Gets the largest number of consecutive weeks in which the goal was reached.
+   *
+   * @param weeks
+   *   All weeks, as returned by `historyData.getCountsPerWeek()`.
+   *
+   * @return The number of weeks in the longest streak.
+   */
+  getLongestStreak(weeks: WeekEntry[]): number {
+    let longest = 0;
+    let streak = 0;
+    weeks.forEach(week => {
+      streak = week.isGoalReached ? streak + 1 : 0;
+      longest = Math.max(longest, streak);
+    });
+    return longest;
+  }
+
+  /**
+   * Gets all badges, both earned and not yet earned.
+   *
+   * @param weeks
+   *   All weeks, as returned by `historyData.getCountsPerWeek()`.
+   *
+   * @return The badges in the order they are usually earned.
+   */
+  getBadges(weeks: WeekEntry[]): Badge[] {
+    const longestStreak = this.getLongestStreak(weeks);
+    const foodCount = this.getFoodStatistics().filter(
+      statistic => !statistic.food.isUnknown
+    ).length;
+    return [
+      {
+        icon: '🎯',
+        name: 'First goal',
+        description: 'Reach the goal of a week',
+        isEarned: weeks.some(week => week.isGoalReached),
+      },
+      ...STREAK_MILESTONES.map(milestone => ({
+        icon: '🔥',
+        name: `${milestone} week streak`,
+        description: `Reach the goal ${milestone} weeks in a row`,
+        isEarned: longestStreak >= milestone,
+      })),
+      ...FOOD_MILESTONES.map(milestone => ({
+        icon: '🥕',
+        name: `${milestone} foods`,
+        description: `Eat ${milestone} different foods`,
+        isEarned: foodCount >= milestone,
+      })),
+      {
+        icon: '🌈',
+        name: 'All categories',
+        description: 'Eat a food from every category in one week',
+        isEarned: weeks.some(week => this.hasAllCategories(week)),
+      },
+    ];
+  }
+
+  /**
+   * Gets how often every food in the history has been eaten.
+   *
+   * @return The statistics of all eaten foods, the most eaten food first.
+   */
+  getFoodStatistics(): FoodStatistic[] {
+    const counts = new Map<FoodEntry, number>();
+    historyData.getEntries().forEach(
+      entry => counts.set(entry.food, (counts.get(entry.food) ?? 0) + 1)
+    );
+    const result: FoodStatistic[] = [...counts].map(([food, count]) => ({food, count}));
+    result.sort(
+      (first, second) =>
+        (second.count - first.count) || first.food.name.localeCompare(second.food.name)
+    );
+    return result;
+  }
+
+  // endregion
+
+  // region private methods
+
+  /**
+   * Checks if a week contains a food of every category that counts towards the goal.
+   *
+   * @param week
+   */
+  private hasAllCategories(week: WeekEntry): boolean {
+    const categories = foodData.getCategories().filter(
+      category => settings.getCategoryWeight(category, week.endDate) > 0
+    );
+    const weekCategories = new Set<string>(week.foods.map(food => food.category));
+    return (categories.length > 0) && categories.every(category => weekCategories.has(category));
+  }
+
+  // endregion
+}
+
+// endregion
+
+// region exports
+
+export const statisticsData = new StatisticsData();
+
+// endregion
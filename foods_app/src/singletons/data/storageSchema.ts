@@ -0,0 +1,115 @@
+// region imports
+
+import {SchemaMigration} from "../../classes/support/SchemaMigration";
+import {CatalogSourceType} from "../../types/CatalogSourceType";
+import {CountingMode} from "../../types/CountingMode";
+
+// endregion
+
+// region local types
+
+/**
+ * Contains the schema migrations of all persisted data. Every stored record contains a `version`
+ * property; records stored by older versions of the app are upgraded when they are loaded.
+ *
+ * To change the structure of stored data, add a step to the end of the steps of that data. Never
+ * change or remove existing steps, users might still have data in any of the older versions.
+ */
+class StorageSchema {
+  // region public variables
+
+  /**
+   * A single history entry.
+   */
+  readonly history: SchemaMigration = new SchemaMigration('history', [
+    // 1: added the version property
+    data => data,
+    // 2: added the portion
+    data => ({...data, portion: data.portion ?? null}),
+    // 3: added the meal
+    data => ({...data, meal: data.meal ?? null}),
+  ]);
+
+  /**
+   * A cleared history in the trash. The history entries in it are versioned separately.
+   */
+  readonly trash: SchemaMigration = new SchemaMigration('trash', [
+    // 1: first version
+    data => data,
+  ]);
+
+  /**
+   * The settings. Version 0 is an object containing the values that were stored as separate
+   * strings in local storage (exported settings of version 0 already contain numbers).
+   */
+  readonly settings: SchemaMigration = new SchemaMigration('settings', [
+    // 1: store the settings as a single typed object
+    data => ({
+      startDayOfWeek: parseInt(String(data.startDayOfWeek ?? '0')) || 0,
+      catalogSourceType: data.catalogSourceType || CatalogSourceType.Default,
+      catalogUrl: data.catalogUrl || ''
+    }),
+    // 2: added the minimum portion
+    data => ({...data, minimumPortion: 0}),
+    // 3: added the changes of the weekly goal
+    data => ({...data, goalChanges: []}),
+    // 4: added the counting mode
+    data => ({...data, countingMode: CountingMode.All, categoryWeights: {}}),
+    // 5: record the counting mode and category weights as changes; it is unknown when the stored
+    // values were set, so they are used for all past weeks
+    ({countingMode, categoryWeights, ...data}) => ({
+      ...data,
+      countingChanges:
+        (countingMode === CountingMode.All) && (Object.keys(categoryWeights).length === 0)
+          ? []
+          : [{date: new Date(0).toISOString(), countingMode, categoryWeights}]
+    }),
+    // 6: record the minimum portion as changes; like with step 5 the stored value is used for all
+    // past weeks
+    ({minimumPortion, ...data}) => ({
+      ...data,
+      minimumPortionChanges: minimumPortion > 0
+        ? [{date: new Date(0).toISOString(), minimumPortion}]
+        : []
+    }),
+  ]);
+
+  /**
+   * The custom foods.
+   */
+  readonly customFoods: SchemaMigration = new SchemaMigration('custom foods', [
+    // 1: the rows were stored as array, wrap them in an object so a version can be added
+    rows => ({rows: rows}),
+    // 2: added the synonyms the user added to existing foods
+    data => ({...data, synonyms: []}),
+  ]);
+
+  /**
+   * The cached food catalog.
+   */
+  readonly catalogCache: SchemaMigration = new SchemaMigration('food catalog cache', [
+    // 1: added the version property
+    data => data,
+  ]);
+
+  /**
+   * The structure of a backup file; the settings and history entries in the file are versioned
+   * separately.
+   */
+  readonly backup: SchemaMigration = new SchemaMigration('backup', [
+    // 1: first version
+    data => data,
+    // 2: added the synonyms the user added to existing foods
+    data => ({...data, customSynonyms: []}),
+  ]);
+
+  // endregion
+}
+
+// endregion
+
+// region exports
+
+export const storageSchema = new StorageSchema();
+
+// endregion
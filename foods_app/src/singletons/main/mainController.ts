@@ -8,9 +8,13 @@ import {applicationData} from "../data/applicationData";
 import {weekPage} from "../pages/weekPage";
 import {settingsPage} from "../pages/settingsPage";
 import {historyPage} from "../pages/historyPage";
+import {statisticsPage} from "../pages/statisticsPage";
 import {dictationPage} from "../pages/dictationPage";
 import {confirmPage} from "../pages/confirmPage";
 import {addPage} from "../pages/addPage";
+import {errorPage} from "../pages/errorPage";
+import {ErrorInfo} from "../../types/ErrorInfo";
+import {CompareEntry} from "../../classes/data/CompareEntry";
 
 // endregion
 
@@ -27,10 +31,31 @@ class MainController {
 
   start() {
     loadingPage.hide();
+    this.clearPages();
     //this.showPage(confirmPage);
     this.showPage(homePage);
   }
 
+  /**
+   * Hides all pages and shows the loading page.
+   */
+  showLoading(): void {
+    this.clearPages();
+    loadingPage.show();
+  }
+
+  /**
+   * Shows the error page, replacing all other pages.
+   *
+   * @param errorInfo
+   */
+  showError(errorInfo: ErrorInfo): void {
+    applicationData.errorInfo = errorInfo;
+    loadingPage.hide();
+    this.clearPages();
+    this.showPage(errorPage);
+  }
+
   back(): void {
     const currentPage = this.m_pageStack.pop();
     if (currentPage) {
@@ -42,7 +67,39 @@ class MainController {
   }
 
   showAdd(): void {
-     this.showPage(addPage);
+    applicationData.pickFoodHandler = null;
+    applicationData.addFilterText = '';
+    applicationData.isCreatingFood = false;
+    this.showPage(addPage);
+  }
+
+  /**
+   * Shows the add page to select a food. The handler is called with the selected entry.
+   *
+   * @param handler
+   * @param filterText
+   *   Initial text to filter the foods with.
+   */
+  showPickFood(handler: (entry: CompareEntry) => void, filterText: string = ''): void {
+    applicationData.pickFoodHandler = handler;
+    applicationData.addFilterText = filterText;
+    applicationData.isCreatingFood = false;
+    this.showPage(addPage);
+  }
+
+  /**
+   * Shows the add page with the form to create a food. The handler is called with the entry of
+   * the created food, or with the entry the user selected instead.
+   *
+   * @param handler
+   * @param name
+   *   Initial name of the food.
+   */
+  showCreateFood(handler: (entry: CompareEntry) => void, name: string): void {
+    applicationData.pickFoodHandler = handler;
+    applicationData.addFilterText = name;
+    applicationData.isCreatingFood = true;
+    this.showPage(addPage);
   }
 
   showConfirm(): void {
@@ -58,6 +115,10 @@ class MainController {
     this.showPage(historyPage);
   }
 
+  showStatistics(): void {
+    this.showPage(statisticsPage);
+  }
+
   showSettings(): void {
     this.showPage(settingsPage);
   }
@@ -71,6 +132,18 @@ class MainController {
 
   // region private methods
 
+  /**
+   * Hides the current page and removes all pages from the stack.
+   *
+   * @private
+   */
+  private clearPages(): void {
+    if (this.m_pageStack.length > 0) {
+      this.m_pageStack.at(-1)!.hide();
+    }
+    this.m_pageStack = [];
+  }
+
   /**
    * Shows the given page.
    *
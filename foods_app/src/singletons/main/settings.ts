@@ -1,6 +1,34 @@
+// region imports
+
+import {CatalogSourceType} from "../../types/CatalogSourceType";
+import {Tools} from "../../classes/support/Tools";
+import {SettingsData} from "../../types/SettingsData";
+import {storageSchema} from "../data/storageSchema";
+import {GoalChangeData} from "../../types/GoalChangeData";
+import {CountingMode} from "../../types/CountingMode";
+import {CountingChangeData} from "../../types/CountingChangeData";
+import {MinimumPortionChangeData} from "../../types/MinimumPortionChangeData";
+import {Plants} from "../../classes/support/Plants";
+
+// endregion
+
 // region local constants
 
-const START_DAY_OF_WEEK_STORAGE_KEY: string = 'startDayOfWeek';
+const STORAGE_KEY: string = 'settings';
+
+/**
+ * Local storage keys used by previous versions to store each setting separately.
+ */
+const LEGACY_STORAGE_KEYS: string[] = ['startDayOfWeek', 'catalogSourceType', 'catalogUrl'];
+
+/**
+ * The weekly goal used until the user changes it.
+ */
+const DEFAULT_GOAL: number = 20;
+
+const DEFAULT_CATALOG_URL: string = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQwlU_Al-u5JKhCjje6GZCNxdafpKBsZw2luPFZC8Vl6xd7eaNMjtJ3hxdrO8TGoYSS1In8WqEM3BEY/pub?output=csv';
+
+// endregion
 
 // region local types
 
@@ -9,12 +37,161 @@ class Settings {
 
   private m_startDayOfWeek: number;
 
+  private m_catalogSourceType: CatalogSourceType;
+
+  private m_catalogUrl: string;
+
+  private m_minimumPortionChanges: MinimumPortionChangeData[];
+
+  private m_goalChanges: GoalChangeData[];
+
+  private m_countingChanges: CountingChangeData[];
+
   // endregion
 
   // region public methods
 
   constructor() {
-    this.m_startDayOfWeek = parseInt(localStorage.getItem(START_DAY_OF_WEEK_STORAGE_KEY) || '0');
+    const data = this.loadFromStorage();
+    this.m_startDayOfWeek = data.startDayOfWeek;
+    this.m_catalogSourceType = data.catalogSourceType;
+    this.m_catalogUrl = data.catalogUrl;
+    this.m_minimumPortionChanges = data.minimumPortionChanges;
+    this.m_goalChanges = data.goalChanges;
+    this.m_countingChanges = data.countingChanges;
+  }
+
+  /**
+   * Gets the number of points a food in a category adds to the total of a week, using the
+   * counting mode and weights that were in effect for that week. Like a change of the goal, a
+   * change applies to the whole week it was made in.
+   *
+   * @param category
+   * @param endOfWeek
+   *   The end of the week, the current week by default.
+   *
+   * @return 1 when all foods count, otherwise the weight set by the user or the default weight of
+   *   the category.
+   */
+  getCategoryWeight(category: string, endOfWeek: Date = new Date()): number {
+    const counting = this.getCountingForWeek(endOfWeek);
+    if (counting.countingMode === CountingMode.All) {
+      return 1;
+    }
+    return counting.categoryWeights[category] ?? Plants.getDefaultWeight(category);
+  }
+
+  /**
+   * Sets the number of points a food in a category adds to the weekly total in plants counting
+   * mode. The change is recorded, so past weeks keep their totals.
+   *
+   * @param category
+   * @param weight
+   */
+  setCategoryWeight(category: string, weight: number): void {
+    const counting = this.getCountingForWeek(new Date());
+    this.addCountingChange(
+      counting.countingMode, {...counting.categoryWeights, [category]: weight}
+    );
+  }
+
+  /**
+   * Gets the weekly goal that was in effect for the week ending at a certain date. A change of the
+   * goal applies to the whole week it was made in, weeks that ended before it keep their goal.
+   *
+   * @param endOfWeek
+   *
+   * @return The number of different foods to eat in that week.
+   */
+  getGoalForWeek(endOfWeek: Date): number {
+    const changes = this.m_goalChanges.filter(change => new Date(change.date) <= endOfWeek);
+    return changes.length > 0 ? changes[changes.length - 1].goal : DEFAULT_GOAL;
+  }
+
+  /**
+   * Gets the minimum portion that was in effect for the week ending at a certain date. Like a
+   * change of the goal, a change applies to the whole week it was made in.
+   *
+   * @param endOfWeek
+   *
+   * @return Portions smaller than this number of grams do not count towards the goal of that
+   *   week; 0 if all portions count.
+   */
+  getMinimumPortionForWeek(endOfWeek: Date): number {
+    const changes = this.m_minimumPortionChanges.filter(
+      change => new Date(change.date) <= endOfWeek
+    );
+    return changes.length > 0 ? changes[changes.length - 1].minimumPortion : 0;
+  }
+
+  /**
+   * Sets the source of the food catalog.
+   *
+   * @param type
+   * @param url
+   *   The url the user entered, ignored for {@link CatalogSourceType.Default} and
+   *   {@link CatalogSourceType.File}.
+   */
+  setCatalogSource(type: CatalogSourceType, url: string): void {
+    const hasUrl = (type === CatalogSourceType.GoogleSheet) || (type === CatalogSourceType.Url);
+    this.m_catalogSourceType = type;
+    this.m_catalogUrl = hasUrl ? url : '';
+    this.saveToStorage();
+  }
+
+  /**
+   * Gets all settings so they can be stored or exported.
+   *
+   * @return The current settings.
+   */
+  toData(): SettingsData {
+    return {
+      version: storageSchema.settings.version,
+      startDayOfWeek: this.m_startDayOfWeek,
+      catalogSourceType: this.m_catalogSourceType,
+      catalogUrl: this.m_catalogUrl,
+      minimumPortionChanges: this.m_minimumPortionChanges,
+      goalChanges: this.m_goalChanges,
+      countingChanges: this.m_countingChanges
+    };
+  }
+
+  /**
+   * Applies exported settings. A local file as catalog source is not applied, since the file is
+   * not part of the exported data.
+   *
+   * @param data
+   */
+  applyData(data: SettingsData): void {
+    this.startDayOfWeek = data.startDayOfWeek;
+    this.m_goalChanges = data.goalChanges;
+    this.m_countingChanges = data.countingChanges;
+    this.m_minimumPortionChanges = data.minimumPortionChanges;
+    this.saveToStorage();
+    if (data.catalogSourceType !== CatalogSourceType.File) {
+      this.setCatalogSource(data.catalogSourceType, data.catalogUrl);
+    }
+  }
+
+  /**
+   * Gets the url to load the catalog CSV from for a source type and the url entered by the user.
+   *
+   * @param type
+   * @param url
+   *
+   * @return The url to load the catalog from, null if the catalog is a local file.
+   */
+  getCatalogUrl(type: CatalogSourceType, url: string): string | null {
+    switch (type) {
+      case CatalogSourceType.File:
+        return null;
+      case CatalogSourceType.GoogleSheet:
+        return Tools.getGoogleSheetCsvUrl(url);
+      case CatalogSourceType.Url:
+        return url;
+      default:
+        return DEFAULT_CATALOG_URL;
+    }
   }
 
   // endregion
@@ -27,12 +204,147 @@ class Settings {
 
   set startDayOfWeek(value: number) {
     this.m_startDayOfWeek = value;
-    localStorage.setItem(START_DAY_OF_WEEK_STORAGE_KEY, value.toString());
+    this.saveToStorage();
+  }
+
+  /**
+   * Portions smaller than this number of grams do not count towards the goal of the current week.
+   * Changing it records the change, so past weeks keep their totals.
+   */
+  get minimumPortion(): number {
+    return this.getMinimumPortionForWeek(new Date());
+  }
+
+  set minimumPortion(value: number) {
+    this.m_minimumPortionChanges = [
+      ...this.m_minimumPortionChanges, {date: new Date().toISOString(), minimumPortion: value}
+    ];
+    this.saveToStorage();
+  }
+
+  /**
+   * The current weekly goal. Changing it records the change, so the goal of past weeks stays the
+   * same.
+   */
+  get goal(): number {
+    return this.getGoalForWeek(new Date());
+  }
+
+  set goal(value: number) {
+    this.m_goalChanges = [...this.m_goalChanges, {date: new Date().toISOString(), goal: value}];
+    this.saveToStorage();
+  }
+
+  /**
+   * The current counting mode. Changing it records the change, so past weeks keep their totals.
+   */
+  get countingMode(): CountingMode {
+    return this.getCountingForWeek(new Date()).countingMode;
+  }
+
+  set countingMode(value: CountingMode) {
+    this.addCountingChange(value, this.getCountingForWeek(new Date()).categoryWeights);
+  }
+
+  get catalogSourceType(): CatalogSourceType {
+    return this.m_catalogSourceType;
+  }
+
+  /**
+   * The url as entered by the user (empty for the default catalog or a local file).
+   */
+  get catalogSourceUrl(): string {
+    return this.m_catalogUrl;
+  }
+
+  /**
+   * The url to load the catalog CSV from, null if the catalog is a local file.
+   */
+  get catalogUrl(): string | null {
+    return this.getCatalogUrl(this.m_catalogSourceType, this.m_catalogUrl);
+  }
+
+  // endregion
+
+  // region private methods
+
+  /**
+   * Gets the counting mode and category weights that were in effect for the week ending at a
+   * certain date.
+   *
+   * @param endOfWeek
+   *
+   * @return The last change made on or before the date, all foods count if there is none.
+   */
+  private getCountingForWeek(endOfWeek: Date): CountingChangeData {
+    const changes = this.m_countingChanges.filter(change => new Date(change.date) <= endOfWeek);
+    return changes.length > 0
+      ? changes[changes.length - 1]
+      : {date: new Date(0).toISOString(), countingMode: CountingMode.All, categoryWeights: {}};
+  }
+
+  /**
+   * Records a change of the counting mode or category weights and saves the settings.
+   *
+   * @param countingMode
+   * @param categoryWeights
+   */
+  private addCountingChange(
+    countingMode: CountingMode, categoryWeights: Record<string, number>
+  ): void {
+    this.m_countingChanges = [
+      ...this.m_countingChanges,
+      {date: new Date().toISOString(), countingMode, categoryWeights}
+    ];
+    this.saveToStorage();
+  }
+
+  /**
+   * Loads the settings from local storage. Settings stored by previous versions are upgraded and
+   * stored again.
+   *
+   * @return The stored settings or the default settings if there are no (valid) stored settings.
+   */
+  private loadFromStorage(): SettingsData {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    try {
+      const storedData: unknown = raw ? JSON.parse(raw) : this.loadLegacyData();
+      const data = storageSchema.settings.migrate<SettingsData>(storedData);
+      if (storageSchema.settings.needsMigration(storedData)) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+        LEGACY_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+      }
+      return data;
+    }
+    catch (error) {
+      console.warn('Ignoring invalid settings', error);
+      return storageSchema.settings.migrate<SettingsData>({});
+    }
+  }
+
+  /**
+   * Gets the settings as stored by previous versions.
+   *
+   * @return An object with the stored string (or null) for every setting.
+   */
+  private loadLegacyData(): Record<string, string | null> {
+    return Object.fromEntries(
+      LEGACY_STORAGE_KEYS.map(key => [key, localStorage.getItem(key)])
+    );
+  }
+
+  /**
+   * Saves the settings to local storage.
+   */
+  private saveToStorage(): void {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toData()));
   }
 
   // endregion
 }
 
+// endregion
+
 // region exports
 
 export const settings = new Settings();
@@ -0,0 +1,99 @@
+// region imports
+
+import {UFHtml} from "@ultraforce/ts-dom-lib";
+import {CssClass} from "../../types/CssClass";
+
+// endregion
+
+// region local constants
+
+/**
+ * Time in milliseconds the toast is shown.
+ */
+const SHOW_DURATION: number = 6000;
+
+// endregion
+
+// region local types
+
+/**
+ * Shows a short message at the bottom of the screen, optionally with a button to perform an
+ * action. The message disappears after a few seconds; showing a new message replaces the current
+ * message.
+ */
+class Toast {
+  // region private variables
+
+  private readonly m_element = UFHtml.getForId('toast');
+
+  private readonly m_message = UFHtml.getForId('toast-message');
+
+  private readonly m_actionButton = UFHtml.getForId<HTMLButtonElement>('toast-action-button');
+
+  private m_action: (() => void) | null = null;
+
+  private m_timer: ReturnType<typeof setTimeout> | null = null;
+
+  // endregion
+
+  // region public methods
+
+  constructor() {
+    this.m_actionButton.addEventListener('click', () => this.handleActionClick());
+  }
+
+  /**
+   * Shows a message.
+   *
+   * @param message
+   * @param actionText
+   *   Text of the action button, when null no button is shown.
+   * @param action
+   *   Called when the action button is clicked.
+   */
+  show(
+    message: string, actionText: string | null = null, action: (() => void) | null = null
+  ): void {
+    this.m_message.innerText = message;
+    this.m_actionButton.innerText = actionText ?? '';
+    this.m_actionButton.classList.toggle(CssClass.Hidden, actionText == null);
+    this.m_action = action;
+    this.m_element.classList.remove(CssClass.Hidden);
+    if (this.m_timer != null) {
+      clearTimeout(this.m_timer);
+    }
+    this.m_timer = setTimeout(() => this.hide(), SHOW_DURATION);
+  }
+
+  /**
+   * Hides the current message.
+   */
+  hide(): void {
+    if (this.m_timer != null) {
+      clearTimeout(this.m_timer);
+      this.m_timer = null;
+    }
+    this.m_action = null;
+    this.m_element.classList.add(CssClass.Hidden);
+  }
+
+  // endregion
+
+  // region event handlers
+
+  private handleActionClick(): void {
+    const action = this.m_action;
+    this.hide();
+    action?.();
+  }
+
+  // endregion
+}
+
+// endregion
+
+// region exports
+
+export const toast = new Toast();
+
+// endregion
@@ -9,6 +9,7 @@ import {mainController} from '../main/mainController';
 import {DataAttribute} from '../../types/DataAttribute';
 import {Text} from '../../classes/support/Text';
 import {CssClass} from '../../types/CssClass';
+import {ConfirmEntry} from '../../classes/data/ConfirmEntry';
 
 // endregion
 
@@ -35,6 +36,30 @@ class AddPage extends PageBase {
     "add-entry-template"
   );
 
+  private readonly m_create = UFHtml.getForId("add-create");
+
+  private readonly m_createNameInput = UFHtml.getForId<HTMLInputElement>(
+    "add-create-name-input"
+  );
+
+  private readonly m_createCategoryInput = UFHtml.getForId<HTMLInputElement>(
+    "add-create-category-input"
+  );
+
+  private readonly m_createCategories = UFHtml.getForId<HTMLDataListElement>(
+    "add-create-categories"
+  );
+
+  private readonly m_createSynonymsInput = UFHtml.getForId<HTMLInputElement>(
+    "add-create-synonyms-input"
+  );
+
+  private readonly m_createError = UFHtml.getForId("add-create-error");
+
+  private readonly m_createButton = UFHtml.getForId<HTMLButtonElement>(
+    "add-create-button"
+  );
+
   /**
    * Contains all children of the entries container while the page is visible.
    */
@@ -47,6 +72,7 @@ class AddPage extends PageBase {
   constructor() {
     super('add-page', 'add entry');
     this.m_filterInput.addEventListener('input', () => this.handleFilterChange());
+    this.m_createButton.addEventListener('click', () => this.handleCreateClick());
   }
 
   // endregion
@@ -56,14 +82,24 @@ class AddPage extends PageBase {
   protected onShowStart(): void {
     const entries = foodData.getList();
     this.m_addEntries.replaceChildren();
-    this.m_filterInput.value = '';
+    this.m_filterInput.value = applicationData.addFilterText;
     entries.forEach(entry => this.m_addEntries.appendChild(this.createEntryElement(entry)));
     this.m_children = Array.from(this.m_addEntries.children) as HTMLElement[];
+    this.m_createCategories.replaceChildren(
+      ...foodData.getCategories().map(category => new Option(category))
+    );
+    this.m_createCategoryInput.value = '';
+    this.m_createSynonymsInput.value = '';
+    this.m_create.classList.add(CssClass.Hidden);
+    if (applicationData.addFilterText || applicationData.isCreatingFood) {
+      this.handleFilterChange();
+    }
   }
 
   protected onHideDone() {
     this.m_children = [];
     this.m_addEntries.replaceChildren();
+    this.m_createCategories.replaceChildren();
   }
 
   // endregion
@@ -72,7 +108,7 @@ class AddPage extends PageBase {
 
   private createEntryElement(entry: CompareEntry): DocumentFragment {
     const element = this.m_entryTemplate.content.cloneNode(true) as DocumentFragment;
-    const filterText = Text.normalizeForComparison(`${entry.original}${entry.food.name}`);
+    const filterText = Text.normalizeForComparison(`${entry.original} ${entry.food.name}`);
     const originalName = element.querySelector<HTMLElement>(DataAttribute.OriginalName)!;
     const foodName = element.querySelector<HTMLElement>(DataAttribute.FoodName)!
     const addButton = element.querySelector<HTMLButtonElement>(DataAttribute.AddButton)!
@@ -92,16 +128,44 @@ class AddPage extends PageBase {
   // region event handler
 
   private handleAddClick(entry: CompareEntry): void {
-    applicationData.compareEntries.push(entry);
+    const pickFoodHandler = applicationData.pickFoodHandler;
+    if (pickFoodHandler) {
+      applicationData.pickFoodHandler = null;
+      pickFoodHandler(entry);
+    }
+    else {
+      applicationData.confirmEntries.push(new ConfirmEntry(entry));
+    }
     mainController.back();
   }
 
   private handleFilterChange(): void {
     const filterValue = Text.normalizeForComparison(this.m_filterInput.value);
+    let hasMatch = false;
     this.m_children.forEach(child => {
       const filterText = child.getAttribute(FILTER_ATTRIBUTE) ?? '';
-      child.classList.toggle(CssClass.Hidden, !filterText.includes(filterValue));
+      const isMatch = filterText.includes(filterValue);
+      child.classList.toggle(CssClass.Hidden, !isMatch);
+      hasMatch ||= isMatch;
     });
+    // offer to create a food when nothing matches
+    this.m_create.classList.toggle(CssClass.Hidden, hasMatch && !applicationData.isCreatingFood);
+    this.m_createNameInput.value = Text.normalizeName(this.m_filterInput.value);
+    this.m_createError.innerText = '';
+  }
+
+  private handleCreateClick(): void {
+    try {
+      const entry = foodData.addCustomFood(
+        this.m_createNameInput.value,
+        this.m_createCategoryInput.value,
+        this.m_createSynonymsInput.value
+      );
+      this.handleAddClick(entry);
+    }
+    catch (error) {
+      this.m_createError.innerText = error instanceof Error ? error.message : String(error);
+    }
   }
 
   // endregion
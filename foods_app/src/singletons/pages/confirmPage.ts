@@ -1,11 +1,46 @@
 import {PageBase} from "../../classes/ui/PageBase";
 import {UFHtml} from "@ultraforce/ts-dom-lib";
 import {applicationData} from "../data/applicationData";
-import {CompareEntry} from "../../classes/data/CompareEntry";
+import {ConfirmEntry} from "../../classes/data/ConfirmEntry";
+import {Portion} from "../../classes/data/Portion";
+import {PortionUnit} from "../../types/PortionUnit";
+import {Meal} from "../../types/Meal";
+import {Meals} from "../../classes/support/Meals";
 import {DataAttribute} from "../../types/DataAttribute";
 import {mainController} from "../main/mainController";
 import {historyData} from "../data/historyData";
 import {CssClass} from "../../types/CssClass";
+import {Text} from "../../classes/support/Text";
+import {FuzzySuggestion} from "../../types/FuzzySuggestion";
+import {CompareEntry} from "../../classes/data/CompareEntry";
+import {foodData} from "../data/foodData";
+import {toast} from "../main/toast";
+
+/**
+ * Value of the date option that uses the current date and time when saving.
+ */
+const NOW_OPTION: string = 'now';
+
+/**
+ * Value of the date option that uses the date and time entered by the user.
+ */
+const CUSTOM_OPTION: string = 'custom';
+
+/**
+ * Hours used for the quick date options.
+ */
+const MORNING_HOUR: number = 8;
+const MIDDAY_HOUR: number = 12;
+const EVENING_HOUR: number = 19;
+
+/**
+ * A quick option for the date and time the entries were consumed.
+ */
+type DateOption = {
+  value: string;
+  label: string;
+  date: Date | null;
+}
 
 class ConfirmPage extends PageBase {
   // region private variables
@@ -18,6 +53,22 @@ class ConfirmPage extends PageBase {
     'confirm-entry-template'
   );
 
+  private readonly m_suggestions = UFHtml.getForId('confirm-suggestions');
+
+  private readonly m_suggestionTemplate = UFHtml.getForId<HTMLTemplateElement>(
+    'confirm-suggestion-template'
+  );
+
+  private readonly m_suggestionOptionTemplate = UFHtml.getForId<HTMLTemplateElement>(
+    'confirm-suggestion-option-template'
+  );
+
+  private readonly m_unrecognized = UFHtml.getForId('confirm-unrecognized');
+
+  private readonly m_unrecognizedTemplate = UFHtml.getForId<HTMLTemplateElement>(
+    'confirm-unrecognized-template'
+  );
+
   private readonly m_saveButton = UFHtml.getForId<HTMLButtonElement>(
     'confirm-save-button'
   );
@@ -30,6 +81,28 @@ class ConfirmPage extends PageBase {
     'confirm-none'
   );
 
+  private readonly m_dateSelect = UFHtml.getForId<HTMLSelectElement>(
+    'confirm-date-select'
+  );
+
+  private readonly m_dateInput = UFHtml.getForId<HTMLInputElement>(
+    'confirm-date-input'
+  );
+
+  private readonly m_mealSelect = UFHtml.getForId<HTMLSelectElement>(
+    'confirm-meal-select'
+  );
+
+  /**
+   * The options shown in the date select.
+   */
+  private m_dateOptions: DateOption[] = [];
+
+  /**
+   * True when the user selected a meal, the meal is no longer suggested from the date.
+   */
+  private m_isMealChosen: boolean = false;
+
   // endregion
 
   // region public methods
@@ -38,6 +111,13 @@ class ConfirmPage extends PageBase {
     super('confirm-page', 'confirm entries');
     this.m_saveButton.addEventListener('click', () => this.handleSaveClick());
     this.m_addButton.addEventListener('click', () => this.handleAddClick());
+    this.m_dateSelect.addEventListener('change', () => this.handleDateSelectChange());
+    this.m_dateInput.addEventListener('input', () => this.handleDateInput());
+    this.m_mealSelect.addEventListener('change', () => this.m_isMealChosen = true);
+    this.m_mealSelect.append(
+      new Option(Meals.getName(null), ''),
+      ...Object.values(Meal).map(meal => new Option(Meals.getName(meal), meal))
+    );
   }
 
   // endregion
@@ -45,11 +125,16 @@ class ConfirmPage extends PageBase {
   // region protected methods
 
   protected onShowStart(): void {
+    this.buildSuggestions();
+    this.buildUnrecognized();
     this.buildList();
+    this.buildDateOptions();
     this.updateVisibility();
   }
 
   protected onHideDone() {
+    this.m_suggestions.replaceChildren();
+    this.m_unrecognized.replaceChildren();
     this.m_confirmEntries.replaceChildren();
   }
 
@@ -58,28 +143,217 @@ class ConfirmPage extends PageBase {
   // region private methods
 
   private buildList(): void {
-    const entries = applicationData.compareEntries;
+    const entries = applicationData.confirmEntries;
     this.m_confirmEntries.replaceChildren();
     entries.forEach(entry => this.m_confirmEntries.appendChild(this.createEntryElement(entry)));
   }
 
+  /**
+   * Shows a "did you mean" question for every part of the dictated text that resembles a food.
+   */
+  private buildSuggestions(): void {
+    this.m_suggestions.replaceChildren(
+      ...applicationData.fuzzySuggestions.map(
+        suggestion => this.createSuggestionElement(suggestion)
+      )
+    );
+    this.m_suggestions.classList.toggle(
+      CssClass.Hidden, applicationData.fuzzySuggestions.length === 0
+    );
+  }
+
+  /**
+   * Shows the parts of the dictated text that did not match any food, with actions to select a
+   * food for them.
+   */
+  private buildUnrecognized(): void {
+    this.m_unrecognized.replaceChildren(
+      ...applicationData.unrecognizedTexts.map(text => this.createUnrecognizedElement(text))
+    );
+    this.m_unrecognized.classList.toggle(
+      CssClass.Hidden, applicationData.unrecognizedTexts.length === 0
+    );
+  }
+
+  /**
+   * Fills the date select with the quick options. The selected option is kept, so it does not
+   * change when the user returns from adding another food.
+   */
+  private buildDateOptions(): void {
+    const selectedValue = this.m_dateSelect.value || NOW_OPTION;
+    this.m_dateOptions = this.getDateOptions(new Date());
+    this.m_dateSelect.replaceChildren(
+      ...this.m_dateOptions.map(option => new Option(option.label, option.value))
+    );
+    this.m_dateSelect.value = this.m_dateOptions.some(option => option.value === selectedValue)
+      ? selectedValue
+      : NOW_OPTION;
+    this.m_dateInput.max = Text.formatInputDateTime(new Date());
+    this.m_dateInput.classList.toggle(CssClass.Hidden, this.m_dateSelect.value !== CUSTOM_OPTION);
+    this.suggestMeal();
+  }
+
+  /**
+   * Selects the meal that matches the time of the selected date, unless the user selected a meal.
+   */
+  private suggestMeal(): void {
+    if (this.m_isMealChosen) {
+      return;
+    }
+    const date = this.getSelectedDateValue();
+    this.m_mealSelect.value = Meals.suggestForDate(isNaN(date.getTime()) ? new Date() : date);
+  }
+
+  /**
+   * Gets the quick options for the date and time the entries were consumed: now, this morning,
+   * yesterday evening, every earlier day of the current week and a custom date and time.
+   *
+   * @param now
+   */
+  private getDateOptions(now: Date): DateOption[] {
+    const result: DateOption[] = [{value: NOW_OPTION, label: 'Now', date: null}];
+    const morning = this.getDate(now, 0, MORNING_HOUR);
+    if (morning < now) {
+      result.push({value: 'morning', label: 'This morning', date: morning});
+    }
+    result.push(
+      {value: 'yesterday', label: 'Yesterday evening', date: this.getDate(now, 1, EVENING_HOUR)}
+    );
+    const startOfWeek = historyData.startOfWeek(now);
+    for (let days = 2; this.getDate(now, days, MIDDAY_HOUR) >= startOfWeek; days++) {
+      const date = this.getDate(now, days, MIDDAY_HOUR);
+      const weekDay = date.toLocaleString('default', {weekday: 'long'});
+      result.push({value: `day-${days}`, label: `${weekDay} (earlier this week)`, date: date});
+    }
+    result.push({value: CUSTOM_OPTION, label: 'Other date and time', date: null});
+    return result;
+  }
+
+  /**
+   * Gets a date a number of days before a date at a certain hour.
+   *
+   * @param date
+   * @param daysBefore
+   * @param hour
+   */
+  private getDate(date: Date, daysBefore: number, hour: number): Date {
+    const result = new Date(date);
+    result.setDate(result.getDate() - daysBefore);
+    result.setHours(hour, 0, 0, 0);
+    return result;
+  }
+
+  /**
+   * Gets the date and time of the selected option without validating it.
+   *
+   * @return The date, it is invalid when the user did not enter a valid date.
+   */
+  private getSelectedDateValue(): Date {
+    const value = this.m_dateSelect.value;
+    if (value === CUSTOM_OPTION) {
+      // the value of a datetime-local input is parsed as local time
+      return new Date(this.m_dateInput.value);
+    }
+    return this.m_dateOptions.find(option => option.value === value)?.date ?? new Date();
+  }
+
+  /**
+   * Gets the date and time to use for the entries.
+   *
+   * @return The selected date or null if the date entered by the user is not valid.
+   */
+  private getSelectedDate(): Date | null {
+    const date = this.getSelectedDateValue();
+    if (
+      (this.m_dateSelect.value === CUSTOM_OPTION) &&
+      (isNaN(date.getTime()) || (date > new Date()))
+    ) {
+      this.m_dateInput.setCustomValidity('Please enter a date and time in the past.');
+      this.m_dateInput.reportValidity();
+      return null;
+    }
+    return date;
+  }
+
   private updateVisibility(): void {
-    const hasEntries = applicationData.compareEntries.length > 0;
+    const hasEntries = applicationData.confirmEntries.length > 0;
     this.m_none.classList.toggle(CssClass.Hidden, hasEntries);
     this.m_confirmEntries.classList.toggle(CssClass.Hidden, !hasEntries);
     this.m_saveButton.disabled = !hasEntries;
   }
 
-  private createEntryElement(entry: CompareEntry): DocumentFragment {
+  private createSuggestionElement(suggestion: FuzzySuggestion): DocumentFragment {
+    const element = this.m_suggestionTemplate.content.cloneNode(true) as DocumentFragment;
+    const originalName = element.querySelector<HTMLElement>(DataAttribute.OriginalName)!;
+    const dismissButton = element.querySelector<HTMLButtonElement>(DataAttribute.DismissButton)!;
+    originalName.innerText = suggestion.text;
+    dismissButton.before(
+      ...suggestion.entries.map(entry => this.createSuggestionOptionElement(suggestion, entry))
+    );
+    dismissButton.addEventListener('click', () => this.handleSuggestionClick(suggestion, null));
+    return element;
+  }
+
+  private createSuggestionOptionElement(
+    suggestion: FuzzySuggestion, entry: CompareEntry
+  ): DocumentFragment {
+    const element = this.m_suggestionOptionTemplate.content.cloneNode(true) as DocumentFragment;
+    const button = element.querySelector<HTMLButtonElement>(DataAttribute.FoodName)!;
+    button.innerText = entry.original;
+    button.addEventListener('click', () => this.handleSuggestionClick(suggestion, entry));
+    return element;
+  }
+
+  private createUnrecognizedElement(text: string): DocumentFragment {
+    const element = this.m_unrecognizedTemplate.content.cloneNode(true) as DocumentFragment;
+    const originalName = element.querySelector<HTMLElement>(DataAttribute.OriginalName)!;
+    const searchButton = element.querySelector<HTMLButtonElement>(DataAttribute.SearchButton)!;
+    const synonymButton = element.querySelector<HTMLButtonElement>(DataAttribute.SynonymButton)!;
+    const createButton = element.querySelector<HTMLButtonElement>(DataAttribute.CreateButton)!;
+    const dismissButton = element.querySelector<HTMLButtonElement>(DataAttribute.DismissButton)!;
+    originalName.innerText = text;
+    searchButton.addEventListener('click', () => this.handleSearchClick(text));
+    synonymButton.addEventListener('click', () => this.handleSynonymClick(text));
+    createButton.addEventListener('click', () => this.handleCreateClick(text));
+    dismissButton.addEventListener('click', () => this.handleIgnoreClick(text));
+    return element;
+  }
+
+  /**
+   * Adds the food selected for an unrecognized part of the text.
+   *
+   * @param text
+   * @param entry
+   */
+  private addUnrecognizedEntry(text: string, entry: CompareEntry): void {
+    applicationData.removeUnrecognizedText(text);
+    applicationData.confirmEntries.push(new ConfirmEntry(entry));
+  }
+
+  private createEntryElement(entry: ConfirmEntry): DocumentFragment {
     const element = this.m_entryTemplate.content.cloneNode(true) as DocumentFragment;
     const originalName = element.querySelector<HTMLElement>(DataAttribute.OriginalName)!;
     const foodName = element.querySelector<HTMLElement>(DataAttribute.FoodName)!
     const removeButton = element.querySelector<HTMLButtonElement>(DataAttribute.RemoveButton)!
+    const portionAmount = element.querySelector<HTMLInputElement>(DataAttribute.PortionAmount)!;
+    const portionUnit = element.querySelector<HTMLSelectElement>(DataAttribute.PortionUnit)!;
     originalName.innerText = entry.original;
     foodName.innerText = entry.food.name;
     removeButton.addEventListener(
       'click', () => this.handleRemoveClick(entry)
     );
+    portionUnit.append(
+      ...Object.values(PortionUnit).map(unit => new Option(Portion.getUnitName(unit, true), unit))
+    );
+    portionAmount.value = entry.portion?.amount.toString() ?? '';
+    portionUnit.value = entry.portion?.unit ?? '';
+    portionAmount.classList.toggle(CssClass.Hidden, entry.portion == null);
+    portionAmount.addEventListener(
+      'input', () => this.handlePortionChange(entry, portionAmount, portionUnit)
+    );
+    portionUnit.addEventListener(
+      'change', () => this.handlePortionChange(entry, portionAmount, portionUnit)
+    );
     return element;
   }
 
@@ -87,18 +361,107 @@ class ConfirmPage extends PageBase {
 
   // region event handlers
 
-  private handleRemoveClick(entry: CompareEntry): void {
-    applicationData.removeCompareEntry(entry);
+  private handleRemoveClick(entry: ConfirmEntry): void {
+    applicationData.removeConfirmEntry(entry);
+    this.buildList();
+    this.updateVisibility();
+  }
+
+  /**
+   * Adds the food the user selected for a suggestion, if any, and removes the suggestion.
+   *
+   * @param suggestion
+   * @param entry
+   *   The selected food, null if the user meant none of the suggested foods.
+   */
+  private handleSuggestionClick(suggestion: FuzzySuggestion, entry: CompareEntry | null): void {
+    applicationData.removeFuzzySuggestion(suggestion);
+    if (entry != null) {
+      applicationData.confirmEntries.push(new ConfirmEntry(entry));
+    }
+    this.buildSuggestions();
     this.buildList();
     this.updateVisibility();
   }
 
+  private handleSearchClick(text: string): void {
+    mainController.showPickFood(entry => this.addUnrecognizedEntry(text, entry), text);
+  }
+
+  /**
+   * Lets the user select the food that was meant and stores the text as synonym of that food,
+   * so it is recognized the next time.
+   */
+  private handleSynonymClick(text: string): void {
+    mainController.showPickFood(entry => {
+      try {
+        this.addUnrecognizedEntry(text, foodData.addSynonym(entry.food, text));
+      }
+      catch (error) {
+        toast.show(error instanceof Error ? error.message : String(error));
+      }
+    });
+  }
+
+  private handleCreateClick(text: string): void {
+    mainController.showCreateFood(entry => this.addUnrecognizedEntry(text, entry), text);
+  }
+
+  private handleIgnoreClick(text: string): void {
+    applicationData.removeUnrecognizedText(text);
+    this.buildUnrecognized();
+  }
+
   private handleSaveClick(): void {
-    historyData.add(applicationData.compareEntries);
-    applicationData.compareEntries = [];
+    const date = this.getSelectedDate();
+    if (date == null) {
+      return;
+    }
+    const meal = (this.m_mealSelect.value as Meal | '') || null;
+    historyData.add(applicationData.confirmEntries, date, meal).catch(error => {
+      console.error('Failed to store history entries', error);
+      toast.show('The change could not be stored.');
+    });
+    applicationData.confirmEntries = [];
+    applicationData.fuzzySuggestions = [];
+    applicationData.unrecognizedTexts = [];
+    this.m_dateSelect.value = NOW_OPTION;
+    this.m_dateInput.value = '';
+    this.m_isMealChosen = false;
     mainController.back();
   }
 
+  /**
+   * Updates the portion of an entry. The amount is only shown once a unit has been selected; an
+   * empty or invalid amount is treated as 1.
+   */
+  private handlePortionChange(
+    entry: ConfirmEntry, portionAmount: HTMLInputElement, portionUnit: HTMLSelectElement
+  ): void {
+    const unit = portionUnit.value as PortionUnit | '';
+    portionAmount.classList.toggle(CssClass.Hidden, unit === '');
+    if (unit === '') {
+      entry.portion = null;
+      return;
+    }
+    const amount = parseFloat(portionAmount.value);
+    entry.portion = new Portion((amount > 0) ? amount : 1, unit);
+  }
+
+  private handleDateSelectChange(): void {
+    const isCustom = this.m_dateSelect.value === CUSTOM_OPTION;
+    this.m_dateInput.classList.toggle(CssClass.Hidden, !isCustom);
+    if (isCustom && !this.m_dateInput.value) {
+      this.m_dateInput.value = Text.formatInputDateTime(new Date());
+    }
+    this.suggestMeal();
+  }
+
+  private handleDateInput(): void {
+    this.m_dateInput.setCustomValidity('');
+    this.suggestMeal();
+  }
+
   private handleAddClick(): void {
     mainController.showAdd();
   }
@@ -8,6 +8,7 @@ import {foodData} from "../data/foodData";
 import {mainController} from "../main/mainController";
 import {Text} from "../../classes/support/Text";
 import {Tools} from "../../classes/support/Tools";
+import {ConfirmEntry} from "../../classes/data/ConfirmEntry";
 
 // endregion
 
@@ -122,7 +123,10 @@ class DictationPage extends PageBase {
   }
 
   private processTranscript(): void {
-    applicationData.compareEntries = foodData.processText(this.m_recordedText.innerText);
+    const matches = foodData.processText(this.m_recordedText.innerText);
+    applicationData.confirmEntries = matches.entries.map(entry => new ConfirmEntry(entry));
+    applicationData.fuzzySuggestions = matches.suggestions;
+    applicationData.unrecognizedTexts = matches.unrecognized;
   }
 
   private containsStopCommand(text: string): boolean {
@@ -0,0 +1,69 @@
+// region imports
+
+import {PageBase} from "../../classes/ui/PageBase";
+import {UFHtml} from "@ultraforce/ts-dom-lib";
+import {applicationData} from "../data/applicationData";
+import {CssClass} from "../../types/CssClass";
+
+// endregion
+
+// region local types
+
+class ErrorPage extends PageBase {
+  // region private variables
+
+  private readonly m_errorTitle = UFHtml.getForId('error-title');
+
+  private readonly m_message = UFHtml.getForId('error-message');
+
+  private readonly m_retryButton = UFHtml.getForId<HTMLButtonElement>(
+    'error-retry-button'
+  );
+
+  private readonly m_continueButton = UFHtml.getForId<HTMLButtonElement>(
+    'error-continue-button'
+  );
+
+  // endregion
+
+  // region public methods
+
+  constructor() {
+    super('error-page', 'error');
+    this.m_retryButton.addEventListener('click', () => this.handleRetryClick());
+    this.m_continueButton.addEventListener('click', () => this.handleContinueClick());
+  }
+
+  // endregion
+
+  // region protected methods
+
+  protected onShowStart(): void {
+    const errorInfo = applicationData.errorInfo!;
+    this.m_errorTitle.innerText = errorInfo.title;
+    this.m_message.innerText = errorInfo.message;
+    this.m_continueButton.classList.toggle(CssClass.Hidden, errorInfo.continue == null);
+  }
+
+  // endregion
+
+  // region event handlers
+
+  private handleRetryClick(): void {
+    applicationData.errorInfo!.retry();
+  }
+
+  private handleContinueClick(): void {
+    applicationData.errorInfo!.continue?.();
+  }
+
+  // endregion
+}
+
+// endregion
+
+// region exports
+
+export const errorPage = new ErrorPage();
+
+// endregion
@@ -55,14 +55,13 @@ class HistoryPage extends PageBase {
     const startDate = element.querySelector<HTMLElement>(DataAttribute.StartDate)!;
     const endDate = element.querySelector<HTMLElement>(DataAttribute.EndDate)!;
     const foodCount = element.querySelector<HTMLElement>(DataAttribute.FoodCount)!;
+    const goal = element.querySelector<HTMLElement>(DataAttribute.Goal)!;
     const viewButton = element.querySelector<HTMLButtonElement>(DataAttribute.ViewButton)!;
     startDate.innerText = Text.formatDate(entry.startDate);
     endDate.innerText = Text.formatDate(entry.endDate);
-    const count = entry.foods.length;
-    foodCount.innerText = count.toString();
-    if (count >= 20) {
-      foodCount.classList.add(CssClass.TextSuccess);
-    }
+    foodCount.innerText = Text.formatCount(entry.count);
+    goal.innerText = entry.goal.toString();
+    foodCount.classList.toggle(CssClass.TextSuccess, entry.isGoalReached);
     viewButton.addEventListener(
       'click', () => this.handleViewClick(entry)
     );
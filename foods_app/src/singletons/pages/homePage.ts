@@ -8,6 +8,15 @@ import {Text} from "../../classes/support/Text";
 import {Tools} from "../../classes/support/Tools";
 import {applicationData} from "../data/applicationData";
 import {CssClass} from "../../types/CssClass";
+import {DataAttribute} from "../../types/DataAttribute";
+import {FoodEntry} from "../../classes/data/FoodEntry";
+import {statisticsData} from "../data/statisticsData";
+
+// endregion
+
+// region local constants
+
+const SUGGESTION_COUNT: number = 5;
 
 // endregion
 
@@ -16,12 +25,20 @@ class HomePage extends PageBase {
 
   private readonly m_foodCount = UFHtml.getForId('food-count');
 
+  private readonly m_goal = UFHtml.getForId('food-goal');
+
   private readonly m_dayCount = UFHtml.getForId('day-count');
 
   private readonly m_weekStart = UFHtml.getForId('week-start');
 
   private readonly m_today = UFHtml.getForId('today');
 
+  private readonly m_streak = UFHtml.getForId('home-streak');
+
+  private readonly m_badgesLabel = UFHtml.getForId('home-badges-label');
+
+  private readonly m_badges = UFHtml.getForId('home-badges');
+
   private readonly m_settingsButton = UFHtml.getForId<HTMLButtonElement>(
     'settings-button'
   );
@@ -30,6 +47,10 @@ class HomePage extends PageBase {
     'history-button'
   );
 
+  private readonly m_statisticsButton = UFHtml.getForId<HTMLButtonElement>(
+    'statistics-button'
+  );
+
   private readonly m_dictateButton = UFHtml.getForId<HTMLButtonElement>(
     'dictate-button'
   );
@@ -42,6 +63,14 @@ class HomePage extends PageBase {
     'missing-speech-recognition'
   );
 
+  private readonly m_suggestions = UFHtml.getForId('suggestions');
+
+  private readonly m_suggestionEntries = UFHtml.getForId('suggestion-entries');
+
+  private readonly m_suggestionEntryTemplate = UFHtml.getForId<HTMLTemplateElement>(
+    'suggestion-entry'
+  );
+
   // endregion
 
   // region public methods
@@ -50,7 +79,9 @@ class HomePage extends PageBase {
     super('home-page', 'home');
     this.m_settingsButton.addEventListener('click', () => this.handleSettingsButtonClick());
     this.m_historyButton.addEventListener('click', () => this.handleHistoryButtonClick());
+    this.m_statisticsButton.addEventListener('click', () => this.handleStatisticsButtonClick());
     this.m_manualButton.addEventListener('click', () => this.handleManualButtonClick());
+    historyData.addChangeListener(() => this.handleHistoryChange());
     if (Tools.hasSpeechRecognitionSupport()) {
       this.m_missingSpeechRecognition.classList.add(CssClass.Hidden);
       this.m_dictateButton.addEventListener('click', () => this.handleDictateButtonClick());
@@ -66,18 +97,66 @@ class HomePage extends PageBase {
   // region protected methods
 
   protected onShowStart() {
+    this.updateCounts();
+  }
+
+  // endregion
+
+  // region private methods
+
+  private updateCounts() {
     const current = historyData.getCountForToday();
     this.m_weekStart.innerText = Text.formatDate(current.startDate);
     this.m_today.innerText = Text.formatDate(new Date());
     this.m_dayCount.innerText = (7 - Tools.daysBetween(current.startDate, new Date())).toString();
-    this.m_foodCount.innerText = current.foods.length.toString();
-    this.m_foodCount.classList.toggle(CssClass.TextSuccess, current.foods.length >= 20);
+    this.m_foodCount.innerText = Text.formatCount(current.count);
+    this.m_goal.innerText = current.goal.toString();
+    this.m_foodCount.classList.toggle(CssClass.TextSuccess, current.isGoalReached);
+    this.updateAchievements();
+    this.updateSuggestions();
+  }
+
+  /**
+   * Shows the current streak and the icons of the earned badges.
+   */
+  private updateAchievements() {
+    const weeks = historyData.getCountsPerWeek();
+    const badges = statisticsData.getBadges(weeks).filter(badge => badge.isEarned);
+    this.m_streak.innerText = Text.formatWeeks(statisticsData.getGoalStreak(weeks));
+    this.m_badges.innerText = badges.map(badge => badge.icon).join(' ');
+    this.m_badges.title = badges.map(badge => badge.name).join(', ');
+    this.m_badgesLabel.classList.toggle(CssClass.Hidden, badges.length === 0);
+    this.m_badges.classList.toggle(CssClass.Hidden, badges.length === 0);
+  }
+
+  private updateSuggestions() {
+    const foods = historyData.getSuggestions(SUGGESTION_COUNT);
+    this.m_suggestions.classList.toggle(CssClass.Hidden, foods.length === 0);
+    this.m_suggestionEntries.replaceChildren(
+      ...foods.map(food => this.createSuggestionElement(food))
+    );
+  }
+
+  private createSuggestionElement(food: FoodEntry): DocumentFragment {
+    const element = this.m_suggestionEntryTemplate.content.cloneNode(true) as DocumentFragment;
+    const name = element.querySelector<HTMLElement>(DataAttribute.FoodName)!;
+    const category = element.querySelector<HTMLElement>(DataAttribute.CategoryName)!;
+    name.innerText = food.name;
+    category.innerText = food.category;
+    return element;
   }
 
   // endregion
 
   // region event handlers
 
+  private handleHistoryChange() {
+    // the history is loaded in the background, so it might change while the page is visible
+    if (this.isVisible()) {
+      this.updateCounts();
+    }
+  }
+
   private handleSettingsButtonClick() {
     mainController.showSettings();
   }
@@ -86,12 +165,18 @@ class HomePage extends PageBase {
     mainController.showHistory();
   }
 
+  private handleStatisticsButtonClick() {
+    mainController.showStatistics();
+  }
+
   private handleDictateButtonClick() {
     mainController.showDictation();
   }
 
   private handleManualButtonClick() {
-    applicationData.compareEntries = [];
+    applicationData.confirmEntries = [];
+    applicationData.fuzzySuggestions = [];
+    applicationData.unrecognizedTexts = [];
     mainController.showConfirm();
   }
 
@@ -4,6 +4,18 @@ import {PageBase} from "../../classes/ui/PageBase";
 import {UFHtml} from "@ultraforce/ts-dom-lib";
 import {settings} from "../main/settings";
 import {historyData} from "../data/historyData";
+import {catalogCache} from "../data/catalogCache";
+import {Text} from "../../classes/support/Text";
+import {CatalogSourceType} from "../../types/CatalogSourceType";
+import {CssClass} from "../../types/CssClass";
+import {Tools} from "../../classes/support/Tools";
+import {foodData} from "../data/foodData";
+import {backupData} from "../data/backupData";
+import {BackupFile, BackupPreview} from "../../types/BackupFile";
+import {HistoryTrashData} from "../../types/HistoryTrashData";
+import {DataAttribute} from "../../types/DataAttribute";
+import {CountingMode} from "../../types/CountingMode";
+import {toast} from "../main/toast";
 
 // endregion
 
@@ -16,10 +28,97 @@ class SettingsPage extends PageBase {
     'week-start-select'
   );
 
+  private readonly m_goalInput = UFHtml.getForId<HTMLInputElement>('goal-input');
+
+  private readonly m_countingModeSelect = UFHtml.getForId<HTMLSelectElement>(
+    'counting-mode-select'
+  );
+
+  private readonly m_categoryWeightsItem = UFHtml.getForId('category-weights-item');
+
+  private readonly m_categoryWeights = UFHtml.getForId('category-weights');
+
+  private readonly m_categoryWeightTemplate = UFHtml.getForId<HTMLTemplateElement>(
+    'category-weight'
+  );
+
+  private readonly m_minimumPortionSelect = UFHtml.getForId<HTMLSelectElement>(
+    'minimum-portion-select'
+  );
+
   private readonly m_clearHistoryButton = UFHtml.getForId<HTMLButtonElement>(
     'clear-history-button'
   );
 
+  private readonly m_catalogFetchDate = UFHtml.getForId('catalog-fetch-date');
+
+  private readonly m_catalogSourceSelect = UFHtml.getForId<HTMLSelectElement>(
+    'catalog-source-select'
+  );
+
+  private readonly m_catalogUrlItem = UFHtml.getForId('catalog-url-item');
+
+  private readonly m_catalogUrlInput = UFHtml.getForId<HTMLInputElement>(
+    'catalog-url-input'
+  );
+
+  private readonly m_catalogFileItem = UFHtml.getForId('catalog-file-item');
+
+  private readonly m_catalogFileInput = UFHtml.getForId<HTMLInputElement>(
+    'catalog-file-input'
+  );
+
+  private readonly m_catalogApplyButton = UFHtml.getForId<HTMLButtonElement>(
+    'catalog-apply-button'
+  );
+
+  private readonly m_catalogStatus = UFHtml.getForId('catalog-status');
+
+  private readonly m_exportButton = UFHtml.getForId<HTMLButtonElement>('export-button');
+
+  private readonly m_csvStartDateInput = UFHtml.getForId<HTMLInputElement>(
+    'csv-start-date-input'
+  );
+
+  private readonly m_csvEndDateInput = UFHtml.getForId<HTMLInputElement>(
+    'csv-end-date-input'
+  );
+
+  private readonly m_csvExportButton = UFHtml.getForId<HTMLButtonElement>('csv-export-button');
+
+  private readonly m_importFileInput = UFHtml.getForId<HTMLInputElement>('import-file-input');
+
+  private readonly m_importPreview = UFHtml.getForId('import-preview');
+
+  private readonly m_importPreviewList = UFHtml.getForId<HTMLUListElement>(
+    'import-preview-list'
+  );
+
+  private readonly m_importMergeButton = UFHtml.getForId<HTMLButtonElement>(
+    'import-merge-button'
+  );
+
+  private readonly m_importReplaceButton = UFHtml.getForId<HTMLButtonElement>(
+    'import-replace-button'
+  );
+
+  private readonly m_importStatus = UFHtml.getForId('import-status');
+
+  private readonly m_trashEmpty = UFHtml.getForId('trash-empty');
+
+  private readonly m_trashEntries = UFHtml.getForId('trash-entries');
+
+  private readonly m_trashEntryTemplate = UFHtml.getForId<HTMLTemplateElement>('trash-entry');
+
+  private readonly m_emptyTrashContainer = UFHtml.getForId('empty-trash-container');
+
+  private readonly m_emptyTrashButton = UFHtml.getForId<HTMLButtonElement>('empty-trash-button');
+
+  /**
+   * The validated contents of the selected import file.
+   */
+  private m_importFile: BackupFile | null = null;
+
   // endregion
 
   // region public methods
@@ -27,7 +126,24 @@ class SettingsPage extends PageBase {
   constructor() {
     super('settings-page', 'settings');
     this.m_weekStartSelect.addEventListener('change', () => this.handleWeekStartChange());
+    this.m_goalInput.addEventListener('change', () => this.handleGoalChange());
+    this.m_countingModeSelect.addEventListener('change', () => this.handleCountingModeChange());
+    this.m_minimumPortionSelect.addEventListener(
+      'change', () => this.handleMinimumPortionChange()
+    );
     this.m_clearHistoryButton.addEventListener('click', () => this.handleClearHistory());
+    this.m_catalogSourceSelect.addEventListener(
+      'change', () => this.updateCatalogSourceVisibility()
+    );
+    this.m_catalogApplyButton.addEventListener('click', () => this.handleCatalogApplyClick());
+    this.m_exportButton.addEventListener('click', () => this.handleExportClick());
+    this.m_csvExportButton.addEventListener('click', () => this.handleCsvExportClick());
+    this.m_importFileInput.addEventListener('change', () => this.handleImportFileChange());
+    this.m_importMergeButton.addEventListener('click', () => this.handleImportClick(false));
+    this.m_importReplaceButton.addEventListener('click', () => this.handleImportClick(true));
+    this.m_emptyTrashButton.addEventListener('click', () => this.handleEmptyTrashClick());
+    // clearing the history or undoing it changes the trash
+    historyData.addChangeListener(() => this.handleHistoryChange());
   }
 
   // endregion
@@ -36,6 +152,162 @@ class SettingsPage extends PageBase {
 
   protected onShowStart(): void {
     this.m_weekStartSelect.value = String(settings.startDayOfWeek);
+    this.m_goalInput.value = String(settings.goal);
+    this.m_countingModeSelect.value = settings.countingMode;
+    this.updateCategoryWeights();
+    this.m_minimumPortionSelect.value = String(settings.minimumPortion);
+    this.m_catalogSourceSelect.value = settings.catalogSourceType;
+    this.m_catalogUrlInput.value = settings.catalogSourceUrl;
+    this.m_catalogFileInput.value = '';
+    this.m_catalogStatus.innerText = '';
+    this.updateCatalogSourceVisibility();
+    this.updateCatalogFetchDate();
+    this.resetImport();
+    this.m_importStatus.innerText = '';
+    this.updateTrash();
+    this.updateExportButtons();
+  }
+
+  protected onHideDone(): void {
+    this.m_categoryWeights.replaceChildren();
+    this.m_trashEntries.replaceChildren();
+  }
+
+  // endregion
+
+  // region private methods
+
+  private updateCatalogSourceVisibility(): void {
+    const type = this.m_catalogSourceSelect.value as CatalogSourceType;
+    this.m_catalogUrlItem.classList.toggle(
+      CssClass.Hidden,
+      (type !== CatalogSourceType.GoogleSheet) && (type !== CatalogSourceType.Url)
+    );
+    this.m_catalogFileItem.classList.toggle(CssClass.Hidden, type !== CatalogSourceType.File);
+  }
+
+  /**
+   * Shows the weight of every category, only in plants counting mode.
+   */
+  private updateCategoryWeights(): void {
+    const isPlants = settings.countingMode === CountingMode.Plants;
+    this.m_categoryWeightsItem.classList.toggle(CssClass.Hidden, !isPlants);
+    this.m_categoryWeights.replaceChildren(
+      ...(isPlants ? foodData.getCategories() : []).map(
+        category => this.createCategoryWeightElement(category)
+      )
+    );
+  }
+
+  private createCategoryWeightElement(category: string): DocumentFragment {
+    const element = this.m_categoryWeightTemplate.content.cloneNode(true) as DocumentFragment;
+    const weightSelect = element.querySelector<HTMLSelectElement>(DataAttribute.CategoryWeight)!;
+    const name = element.querySelector<HTMLElement>(DataAttribute.CategoryName)!;
+    weightSelect.value = String(settings.getCategoryWeight(category));
+    weightSelect.setAttribute('aria-label', `Points for ${category}`);
+    weightSelect.addEventListener(
+      'change', () => this.handleCategoryWeightChange(category, weightSelect)
+    );
+    name.innerText = category;
+    return element;
+  }
+
+  private updateCatalogFetchDate(): void {
+    const fetchDate = catalogCache.fetchDate;
+    this.m_catalogFetchDate.innerText = fetchDate ? Text.formatDateWithTime(fetchDate) : '-';
+  }
+
+  /**
+   * Only allows exporting once the history has been loaded, else only a part of the history
+   * would be exported.
+   */
+  private updateExportButtons(): void {
+    this.m_exportButton.disabled = !historyData.isLoaded;
+    this.m_csvExportButton.disabled = !historyData.isLoaded;
+  }
+
+  /**
+   * Shows the cleared histories in the trash.
+   */
+  private async updateTrash(): Promise<void> {
+    let items: HistoryTrashData[];
+    try {
+      items = await historyData.getTrash();
+    }
+    catch (error) {
+      console.error('Failed to load the trash', error);
+      items = [];
+    }
+    this.m_trashEntries.replaceChildren(
+      ...items.map(item => this.createTrashEntryElement(item))
+    );
+    this.m_trashEmpty.classList.toggle(CssClass.Hidden, items.length > 0);
+    this.m_emptyTrashContainer.classList.toggle(CssClass.Hidden, items.length === 0);
+  }
+
+  private createTrashEntryElement(item: HistoryTrashData): DocumentFragment {
+    const element = this.m_trashEntryTemplate.content.cloneNode(true) as DocumentFragment;
+    const clearDate = element.querySelector<HTMLElement>(DataAttribute.ClearDate)!;
+    const entryCount = element.querySelector<HTMLElement>(DataAttribute.EntryCount)!;
+    const restoreButton = element.querySelector<HTMLButtonElement>(DataAttribute.RestoreButton)!;
+    clearDate.innerText = Text.formatDateWithTime(new Date(item.clearDate));
+    entryCount.innerText = `${item.entries.length} entries`;
+    restoreButton.addEventListener('click', () => this.handleRestoreClick(item.id!));
+    return element;
+  }
+
+  private resetImport(): void {
+    this.m_importFile = null;
+    this.m_importFileInput.value = '';
+    this.m_importPreview.classList.add(CssClass.Hidden);
+    this.m_importPreviewList.replaceChildren();
+  }
+
+  private showImportPreview(preview: BackupPreview): void {
+    const replaceSettings = preview.settingChanges.length > 0
+      ? `changes the settings: ${preview.settingChanges.join(', ')}`
+      : 'keeps the settings, they are the same';
+    const lines = [
+      `The file contains ${preview.historyCount} history entries, ` +
+      `${preview.newHistoryCount} of them are not in your history.`,
+      `The file contains ${preview.customFoodCount} custom foods, ` +
+      `${preview.newCustomFoodCount} of them are new.`,
+      'Merge adds the new history entries and custom foods and keeps your settings.',
+      `Replace removes your ${preview.currentHistoryCount} history entries and ` +
+      `${preview.currentCustomFoodCount} custom foods and ${replaceSettings}.`,
+    ];
+    this.m_importPreviewList.replaceChildren(
+      ...lines.map(line => {
+        const item = document.createElement('li');
+        item.innerText = line;
+        return item;
+      })
+    );
+    this.m_importPreview.classList.remove(CssClass.Hidden);
+  }
+
+  private showImportStatus(text: string, isError: boolean): void {
+    this.m_importStatus.innerText = text;
+    this.m_importStatus.classList.toggle(CssClass.TextDanger, isError);
+  }
+
+  /**
+   * Gets the url to load the catalog from for the selected source type.
+   *
+   * @param type
+   *
+   * @return The url to load the CSV from, for a local file this is an object url that should be
+   *   revoked after use.
+   */
+  private getSelectedCatalogUrl(type: CatalogSourceType): string {
+    if (type === CatalogSourceType.File) {
+      const file = this.m_catalogFileInput.files?.[0];
+      if (file == null) {
+        throw new Error('Please select a file.');
+      }
+      return URL.createObjectURL(file);
+    }
+    return settings.getCatalogUrl(type, this.m_catalogUrlInput.value.trim())!;
   }
 
   // endregion
@@ -49,9 +321,182 @@ class SettingsPage extends PageBase {
     }
   }
 
+  /**
+   * Stores a changed goal; an invalid value is replaced by the current goal.
+   */
+  private handleGoalChange() {
+    const value = parseInt(this.m_goalInput.value, 10);
+    if (!isNaN(value) && (value >= 1) && (value <= 100) && (value !== settings.goal)) {
+      settings.goal = value;
+    }
+    this.m_goalInput.value = String(settings.goal);
+  }
+
+  private handleCountingModeChange() {
+    settings.countingMode = this.m_countingModeSelect.value as CountingMode;
+    this.updateCategoryWeights();
+  }
+
+  private handleCategoryWeightChange(category: string, weightSelect: HTMLSelectElement) {
+    const value = parseFloat(weightSelect.value);
+    if (!isNaN(value) && (value >= 0)) {
+      settings.setCategoryWeight(category, value);
+    }
+  }
+
+  private handleMinimumPortionChange() {
+    const value = parseFloat(this.m_minimumPortionSelect.value);
+    if (!isNaN(value) && (value >= 0)) {
+      settings.minimumPortion = value;
+    }
+  }
+
+  /**
+   * Loads and validates the selected catalog. Only when the catalog is valid, it replaces the
+   * current catalog and the source is stored in the settings.
+   */
+  private async handleCatalogApplyClick() {
+    const type = this.m_catalogSourceSelect.value as CatalogSourceType;
+    const isFile = type === CatalogSourceType.File;
+    this.m_catalogApplyButton.disabled = true;
+    this.m_catalogStatus.classList.remove(CssClass.TextDanger);
+    this.m_catalogStatus.innerText = 'Loading food list...';
+    let url: string | null = null;
+    try {
+      // an empty url is valid for the input, but would load the page itself
+      if (((type === CatalogSourceType.GoogleSheet) || (type === CatalogSourceType.Url))
+        && (!this.m_catalogUrlInput.value.trim() || !this.m_catalogUrlInput.checkValidity())) {
+        throw new Error('Please enter a valid url.');
+      }
+      url = this.getSelectedCatalogUrl(type);
+      const rows = await Tools.loadCSV(url);
+      foodData.validate(rows);
+      settings.setCatalogSource(type, this.m_catalogUrlInput.value.trim());
+      catalogCache.store(rows, isFile ? null : url);
+      foodData.import(rows);
+      historyData.resolveFoods();
+      this.m_catalogStatus.innerText = `Food list loaded (${foodData.getFoods().length} foods).`;
+      this.updateCatalogFetchDate();
+    }
+    catch (error) {
+      this.m_catalogStatus.classList.add(CssClass.TextDanger);
+      this.m_catalogStatus.innerText = error instanceof Error ? error.message : String(error);
+    }
+    finally {
+      if (isFile && url) {
+        URL.revokeObjectURL(url);
+      }
+      this.m_catalogApplyButton.disabled = false;
+    }
+  }
+
+  private handleExportClick() {
+    const date = Text.formatIsoDate(new Date());
+    Tools.downloadText(`20foods-${date}.json`, backupData.createExport(), 'application/json');
+  }
+
+  private handleCsvExportClick() {
+    // use the start and end of the selected days in the local time zone
+    const startDate = this.m_csvStartDateInput.value
+      ? new Date(`${this.m_csvStartDateInput.value}T00:00:00`)
+      : null;
+    const endDate = this.m_csvEndDateInput.value
+      ? new Date(`${this.m_csvEndDateInput.value}T23:59:59.999`)
+      : null;
+    const date = Text.formatIsoDate(new Date());
+    Tools.downloadText(
+      `20foods-history-${date}.csv`, backupData.createHistoryCsv(startDate, endDate), 'text/csv'
+    );
+  }
+
+  private async handleImportFileChange() {
+    const file = this.m_importFileInput.files?.[0];
+    this.m_importFile = null;
+    this.m_importPreview.classList.add(CssClass.Hidden);
+    this.showImportStatus('', false);
+    if (file == null) {
+      return;
+    }
+    try {
+      this.m_importFile = backupData.parse(await file.text());
+      this.showImportPreview(backupData.getPreview(this.m_importFile));
+    }
+    catch (error) {
+      this.showImportStatus(error instanceof Error ? error.message : String(error), true);
+    }
+  }
+
+  private async handleImportClick(replace: boolean) {
+    if (this.m_importFile == null) {
+      return;
+    }
+    if (
+      replace &&
+      !confirm('Are you sure you want to replace your data? This action cannot be undone.')
+    ) {
+      return;
+    }
+    try {
+      await backupData.import(this.m_importFile, replace);
+    }
+    catch (error) {
+      this.showImportStatus(error instanceof Error ? error.message : String(error), true);
+      return;
+    }
+    this.resetImport();
+    this.m_weekStartSelect.value = String(settings.startDayOfWeek);
+    this.m_goalInput.value = String(settings.goal);
+    this.m_countingModeSelect.value = settings.countingMode;
+    this.updateCategoryWeights();
+    this.m_minimumPortionSelect.value = String(settings.minimumPortion);
+    this.m_catalogSourceSelect.value = settings.catalogSourceType;
+    this.m_catalogUrlInput.value = settings.catalogSourceUrl;
+    this.updateCatalogSourceVisibility();
+    this.showImportStatus(
+      'The data has been imported. A changed food list will be used the next time the app starts.',
+      false
+    );
+  }
+
   private handleClearHistory() {
-    if (confirm('Are you sure you want to clear your history? This action cannot be undone.')) {
-      historyData.clear();
+    if (confirm('Are you sure you want to clear your history? It will be moved to the trash.')) {
+      historyData.clear()
+        .then(() => this.updateTrash())
+        .catch(error => this.showTrashError('Failed to clear history', error));
+    }
+  }
+
+  private handleRestoreClick(id: number) {
+    historyData.restoreFromTrash(id).catch(
+      error => this.showTrashError('Failed to restore history', error)
+    );
+  }
+
+  private handleEmptyTrashClick() {
+    if (confirm('Are you sure you want to empty the trash? This action cannot be undone.')) {
+      historyData.emptyTrash()
+        .then(() => this.updateTrash())
+        .catch(error => this.showTrashError('Failed to empty the trash', error));
+    }
+  }
+
+  /**
+   * Logs an error of clearing the history or changing the trash, tells the user the change
+   * failed and shows the trash as it is stored.
+   *
+   * @param message
+   * @param error
+   */
+  private showTrashError(message: string, error: unknown): void {
+    console.error(message, error);
+    toast.show('The change could not be stored.');
+    this.updateTrash();
+  }
+
+  private handleHistoryChange() {
+    if (this.isVisible()) {
+      this.updateTrash();
+      this.updateExportButtons();
     }
   }
 
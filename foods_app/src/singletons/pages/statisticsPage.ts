@@ -0,0 +1,153 @@
+// region imports
+
+import {PageBase} from "../../classes/ui/PageBase";
+import {UFHtml} from "@ultraforce/ts-dom-lib";
+import {Text} from "../../classes/support/Text";
+import {DataAttribute} from "../../types/DataAttribute";
+import {CssClass} from "../../types/CssClass";
+import {historyData} from "../data/historyData";
+import {statisticsData} from "../data/statisticsData";
+import {WeekChart} from "../../classes/ui/WeekChart";
+import {FoodStatistic} from "../../types/FoodStatistic";
+import {Badge} from "../../types/Badge";
+
+// endregion
+
+// region local constants
+
+/**
+ * Number of most recent weeks shown in the chart.
+ */
+const CHART_WEEKS: number = 26;
+
+/**
+ * Number of foods shown in the most and least eaten lists.
+ */
+const FOOD_LIST_SIZE: number = 5;
+
+// endregion
+
+// region local types
+
+class StatisticsPage extends PageBase {
+  // region private variables
+
+  private readonly m_empty = UFHtml.getForId('statistics-empty');
+
+  private readonly m_content = UFHtml.getForId('statistics-content');
+
+  private readonly m_chart = UFHtml.getForId('statistics-chart');
+
+  private readonly m_chartStart = UFHtml.getForId('statistics-chart-start');
+
+  private readonly m_chartEnd = UFHtml.getForId('statistics-chart-end');
+
+  private readonly m_average = UFHtml.getForId('statistics-average');
+
+  private readonly m_streak = UFHtml.getForId('statistics-streak');
+
+  private readonly m_longestStreak = UFHtml.getForId('statistics-longest-streak');
+
+  private readonly m_badges = UFHtml.getForId('statistics-badges');
+
+  private readonly m_badgeTemplate = UFHtml.getForId<HTMLTemplateElement>('badge-entry');
+
+  private readonly m_foodCount = UFHtml.getForId('statistics-food-count');
+
+  private readonly m_mostEaten = UFHtml.getForId('statistics-most-eaten');
+
+  private readonly m_leastEaten = UFHtml.getForId('statistics-least-eaten');
+
+  private readonly m_foodStatisticTemplate = UFHtml.getForId<HTMLTemplateElement>(
+    'food-statistic'
+  );
+
+  // endregion
+
+  // region public methods
+
+  constructor() {
+    super('statistics-page', 'statistics');
+  }
+
+  // endregion
+
+  // region protected methods
+
+  protected onShowStart(): void {
+    // newest week first
+    const weeks = historyData.getCountsPerWeek();
+    this.m_empty.classList.toggle(CssClass.Hidden, weeks.length > 0);
+    this.m_content.classList.toggle(CssClass.Hidden, weeks.length === 0);
+    if (weeks.length === 0) {
+      return;
+    }
+    const chartWeeks = weeks.slice(0, CHART_WEEKS).reverse();
+    this.m_chart.replaceChildren(WeekChart.create(chartWeeks));
+    this.m_chartStart.innerText = Text.formatDate(chartWeeks[0].startDate);
+    this.m_chartEnd.innerText = Text.formatDate(chartWeeks.at(-1)!.startDate);
+    const average = statisticsData.getAverageCount(weeks);
+    this.m_average.innerText = average == null
+      ? '-'
+      : Text.formatCount(Math.round(average * 10) / 10);
+    this.m_streak.innerText = Text.formatWeeks(statisticsData.getGoalStreak(weeks));
+    this.m_longestStreak.innerText = Text.formatWeeks(statisticsData.getLongestStreak(weeks));
+    this.m_badges.replaceChildren(
+      ...statisticsData.getBadges(weeks).map(badge => this.createBadgeElement(badge))
+    );
+    const foods = statisticsData.getFoodStatistics();
+    this.m_foodCount.innerText = foods.length.toString();
+    this.m_mostEaten.replaceChildren(
+      ...foods.slice(0, FOOD_LIST_SIZE).map(food => this.createFoodStatisticElement(food))
+    );
+    // show the least eaten food first, skip the foods already shown as most eaten
+    this.m_leastEaten.replaceChildren(
+      ...foods.slice(FOOD_LIST_SIZE).reverse().slice(0, FOOD_LIST_SIZE).map(
+        food => this.createFoodStatisticElement(food)
+      )
+    );
+  }
+
+  protected onHideDone(): void {
+    this.m_chart.replaceChildren();
+    this.m_badges.replaceChildren();
+    this.m_mostEaten.replaceChildren();
+    this.m_leastEaten.replaceChildren();
+  }
+
+  // endregion
+
+  // region private methods
+
+  private createBadgeElement(badge: Badge): DocumentFragment {
+    const element = this.m_badgeTemplate.content.cloneNode(true) as DocumentFragment;
+    const icon = element.querySelector<HTMLElement>(DataAttribute.BadgeIcon)!;
+    const name = element.querySelector<HTMLElement>(DataAttribute.BadgeName)!;
+    const description = element.querySelector<HTMLElement>(DataAttribute.BadgeDescription)!;
+    // show a placeholder until the badge is earned
+    icon.innerText = badge.isEarned ? badge.icon : '🔒';
+    name.innerText = badge.name;
+    name.classList.toggle(CssClass.TextLabel, !badge.isEarned);
+    description.innerText = badge.description;
+    return element;
+  }
+
+  private createFoodStatisticElement(statistic: FoodStatistic): DocumentFragment {
+    const element = this.m_foodStatisticTemplate.content.cloneNode(true) as DocumentFragment;
+    const count = element.querySelector<HTMLElement>(DataAttribute.FoodCount)!;
+    const name = element.querySelector<HTMLElement>(DataAttribute.FoodName)!;
+    count.innerText = `${statistic.count}×`;
+    name.innerText = statistic.food.name;
+    return element;
+  }
+
+  // endregion
+}
+
+// endregion
+
+// region exports
+
+export const statisticsPage = new StatisticsPage();
+
+// endregion
@@ -9,6 +9,22 @@ import {historyData} from "../data/historyData";
 import {HistoryEntry} from "../../classes/data/HistoryEntry";
 import {DataAttribute} from "../../types/DataAttribute";
 import {CssClass} from "../../types/CssClass";
+import {mainController} from "../main/mainController";
+import {Meal} from "../../types/Meal";
+import {Meals} from "../../classes/support/Meals";
+import {WeekEntry} from "../../classes/data/WeekEntry";
+import {foodData} from "../data/foodData";
+import {settings} from "../main/settings";
+import {toast} from "../main/toast";
+
+// endregion
+
+// region local constants
+
+/**
+ * Value of the group select to group the entries by meal.
+ */
+const GROUP_BY_MEAL: string = 'meal';
 
 // endregion
 
@@ -23,6 +39,8 @@ class WeekPage extends PageBase {
 
   private readonly m_foodEntries = UFHtml.getForId("food-entries");
 
+  private readonly m_unknownFoods = UFHtml.getForId("week-unknown-foods");
+
   private readonly m_foodEntryTemplate = UFHtml.getForId<HTMLTemplateElement>(
     "food-entry"
   );
@@ -31,12 +49,59 @@ class WeekPage extends PageBase {
     "food-history-entry"
   );
 
+  private readonly m_mealEntryTemplate = UFHtml.getForId<HTMLTemplateElement>(
+    "meal-entry"
+  );
+
+  private readonly m_categorySummaryTitle = UFHtml.getForId("week-category-summary-title");
+
+  private readonly m_categoryMissing = UFHtml.getForId("week-category-missing");
+
+  private readonly m_categoryCounts = UFHtml.getForId("week-category-counts");
+
+  private readonly m_categoryExpandButton = UFHtml.getForId<HTMLButtonElement>(
+    "week-category-expand-button"
+  );
+
+  private readonly m_categoryCollapseButton = UFHtml.getForId<HTMLButtonElement>(
+    "week-category-collapse-button"
+  );
+
+  private readonly m_categoryCountTemplate = UFHtml.getForId<HTMLTemplateElement>(
+    "category-count"
+  );
+
+  private readonly m_groupSelect = UFHtml.getForId<HTMLSelectElement>("week-group-select");
+
+  /**
+   * Names of the foods whose history entries are shown.
+   */
+  private readonly m_expandedFoods: Set<string> = new Set();
+
+  /**
+   * Start date of the week that was shown last.
+   */
+  private m_shownWeekStart: number | null = null;
+
+  /**
+   * True if the number of foods of every category is shown.
+   */
+  private m_isCategoryCountsExpanded: boolean = false;
+
   // endregion
 
   // region public methods
 
   constructor() {
     super('week-page', 'week overview');
+    historyData.addChangeListener(() => this.handleHistoryChange());
+    this.m_groupSelect.addEventListener('change', () => this.render());
+    this.m_categoryExpandButton.addEventListener(
+      'click', () => this.handleCategoryCountsToggle(true)
+    );
+    this.m_categoryCollapseButton.addEventListener(
+      'click', () => this.handleCategoryCountsToggle(false)
+    );
   }
 
   // endregion
@@ -44,12 +109,48 @@ class WeekPage extends PageBase {
   // region protected methods
 
   protected onShowStart(): void {
+    const startTime = applicationData.selectedWeek!.startDate.getTime();
+    if (startTime !== this.m_shownWeekStart) {
+      this.m_expandedFoods.clear();
+      this.m_shownWeekStart = startTime;
+    }
+    this.render();
+  }
+
+  protected onHideDone() {
+    this.m_foodEntries.replaceChildren();
+    this.m_categoryCounts.replaceChildren();
+  }
+
+  // endregion
+
+  // region private methods
+
+  /**
+   * Recomputes the selected week, so it reflects changes to the history, and shows the category
+   * summary and its foods or meals.
+   */
+  private render(): void {
     this.m_foodEntries.replaceChildren();
-    const week = applicationData.selectedWeek!;
+    const week = historyData.getWeekEntryForDate(applicationData.selectedWeek!.startDate);
+    applicationData.selectedWeek = week;
     this.m_weekStart.innerText = Text.formatDate(week.startDate);
     this.m_weekEnd.innerText = Text.formatDate(week.endDate);
     const historyEntries = historyData.getListForWeek(week)
     const foods = this.getFoods(historyEntries);
+    this.m_unknownFoods.classList.toggle(CssClass.Hidden, !foods.some(food => food.isUnknown));
+    this.renderCategorySummary(week);
+    if (this.m_groupSelect.value === GROUP_BY_MEAL) {
+      [...Object.values(Meal), null].forEach(meal => {
+        const mealEntries = historyEntries
+          .filter(entry => entry.meal === meal)
+          .sort((first, second) => first.date.getTime() - second.date.getTime());
+        if (mealEntries.length > 0) {
+          this.m_foodEntries.appendChild(this.createMealEntryElement(meal, mealEntries));
+        }
+      });
+      return;
+    }
     foods.forEach(
       food => this.m_foodEntries.appendChild(
         this.createFoodEntryElement(food, this.getHistoryEntriesForFood(food, historyEntries))
@@ -57,13 +158,47 @@ class WeekPage extends PageBase {
     );
   }
 
-  protected onHideDone() {
-    this.m_foodEntries.replaceChildren();
+  /**
+   * Shows from how many of the counted categories foods were consumed and which categories are
+   * missing. The number of foods that count towards the goal for every counted category is shown
+   * when expanded.
+   *
+   * @param week
+   */
+  private renderCategorySummary(week: WeekEntry): void {
+    const counts = new Map<string, number>(
+      foodData.getCategories()
+        .filter(category => settings.getCategoryWeight(category, week.endDate) > 0)
+        .map(category => [category, 0])
+    );
+    // foods that are no longer part of the food list have a category that is not in the list
+    week.foods
+      .filter(food => counts.has(food.category))
+      .forEach(food => counts.set(food.category, counts.get(food.category)! + 1));
+    const categories = [...counts.keys()].sort((first, second) => first.localeCompare(second));
+    const missing = categories.filter(category => counts.get(category) === 0);
+    const usedCount = categories.length - missing.length;
+    this.m_categorySummaryTitle.innerText =
+      `Foods from ${usedCount} of ${categories.length} categories`;
+    this.m_categoryMissing.innerText = `Missing: ${missing.join(', ')}`;
+    this.m_categoryMissing.classList.toggle(CssClass.Hidden, missing.length === 0);
+    this.m_categoryCounts.replaceChildren(
+      ...categories.map(
+        category => this.createCategoryCountElement(category, counts.get(category)!)
+      )
+    );
+    this.updateCategoryCountsVisibility();
   }
 
-  // endregion
-
-  // region private methods
+  private updateCategoryCountsVisibility(): void {
+    this.m_categoryCounts.classList.toggle(CssClass.Hidden, !this.m_isCategoryCountsExpanded);
+    this.m_categoryExpandButton.classList.toggle(
+      CssClass.Hidden, this.m_isCategoryCountsExpanded
+    );
+    this.m_categoryCollapseButton.classList.toggle(
+      CssClass.Hidden, !this.m_isCategoryCountsExpanded
+    );
+  }
 
   /**
    * Gets all unique foods consumed by all history entries, sorted by name.
@@ -92,6 +227,25 @@ class WeekPage extends PageBase {
     return result;
   }
 
+  /**
+   * Gets the category of a food with the reason the food does not (fully) count, if any.
+   *
+   * @param food
+   * @param isCounted
+   *   False if all portions of the food are too small.
+   * @param weight
+   *   The number of points the food adds to the weekly total.
+   */
+  private getCategoryText(food: FoodEntry, isCounted: boolean, weight: number): string {
+    if (weight === 0) {
+      return `${food.category} (not counted)`;
+    }
+    if (!isCounted) {
+      return `${food.category} (portion too small)`;
+    }
+    return weight === 1 ? food.category : `${food.category} (${Text.formatCount(weight)} point)`;
+  }
+
   private createFoodEntryElement(food: FoodEntry, historyEntries: HistoryEntry[]): DocumentFragment {
     const element = this.m_foodEntryTemplate.content.cloneNode(true) as DocumentFragment;
     const name = element.querySelector<HTMLElement>(DataAttribute.FoodName)!;
@@ -105,55 +259,203 @@ class WeekPage extends PageBase {
     const expandButton = element.querySelector<HTMLButtonElement>(
       DataAttribute.ExpandButton
     )!;
+    const remapButton = element.querySelector<HTMLButtonElement>(
+      DataAttribute.RemapButton
+    )!;
+    // a food does not count when all its portions are smaller than the minimum portion
+    const endDate = applicationData.selectedWeek!.endDate;
+    const isCounted = historyEntries.some(entry => historyData.isCounted(entry, endDate));
+    const weight = historyData.getWeight(food, endDate);
     name.innerText = food.name;
-    category.innerText = food.category;
+    name.classList.toggle(CssClass.TextLabel, !isCounted || (weight === 0));
+    category.innerText = this.getCategoryText(food, isCounted, weight);
+    category.classList.toggle(CssClass.TextWarning, food.isUnknown);
+    if (food.isUnknown) {
+      remapButton.addEventListener('click', () => this.handleRemapClick(food));
+    }
+    else {
+      remapButton.classList.add(CssClass.Hidden);
+    }
     historyEntries.forEach(
       entry => foodHistoryEntries.appendChild(
         this.createFoodHistoryEntryElement(entry)
       )
     );
-    collapseButton.classList.add(CssClass.Hidden);
-    foodHistoryEntries.classList.add(CssClass.Hidden);
+    const isExpanded = this.m_expandedFoods.has(food.name);
+    collapseButton.classList.toggle(CssClass.Hidden, !isExpanded);
+    expandButton.classList.toggle(CssClass.Hidden, isExpanded);
+    foodHistoryEntries.classList.toggle(CssClass.Hidden, !isExpanded);
     collapseButton.addEventListener(
       'click',
-      () => this.handleCollapseClick(foodHistoryEntries, collapseButton, expandButton)
+      () => this.handleCollapseClick(food, foodHistoryEntries, collapseButton, expandButton)
     );
     expandButton.addEventListener(
       'click',
-      () => this.handleExpandClick(foodHistoryEntries, collapseButton, expandButton))
+      () => this.handleExpandClick(food, foodHistoryEntries, collapseButton, expandButton))
     ;
     return element;
   }
 
+  private createCategoryCountElement(category: string, count: number): DocumentFragment {
+    const element = this.m_categoryCountTemplate.content.cloneNode(true) as DocumentFragment;
+    const name = element.querySelector<HTMLElement>(DataAttribute.CategoryName)!;
+    const foodCount = element.querySelector<HTMLElement>(DataAttribute.FoodCount)!;
+    name.innerText = category;
+    foodCount.innerText = count.toString();
+    name.classList.toggle(CssClass.TextWarning, count === 0);
+    foodCount.classList.toggle(CssClass.TextWarning, count === 0);
+    return element;
+  }
+
+  private createMealEntryElement(
+    meal: Meal | null, historyEntries: HistoryEntry[]
+  ): DocumentFragment {
+    const element = this.m_mealEntryTemplate.content.cloneNode(true) as DocumentFragment;
+    const name = element.querySelector<HTMLElement>(DataAttribute.MealName)!;
+    const foodCount = element.querySelector<HTMLElement>(DataAttribute.FoodCount)!;
+    const foodHistoryEntries = element.querySelector<HTMLElement>(
+      DataAttribute.FoodHistoryEntries
+    )!;
+    const count = this.getFoods(historyEntries).length;
+    name.innerText = Meals.getName(meal);
+    foodCount.innerText = count === 1 ? '1 food' : `${count} foods`;
+    historyEntries.forEach(
+      entry => foodHistoryEntries.appendChild(
+        this.createFoodHistoryEntryElement(entry)
+      )
+    );
+    return element;
+  }
+
   private createFoodHistoryEntryElement(entry: HistoryEntry): DocumentFragment {
     const element = this.m_foodHistoryEntryTemplate.content.cloneNode(true) as DocumentFragment;
     const date = element.querySelector<HTMLElement>(DataAttribute.FoodHistoryDate)!;
     const name = element.querySelector<HTMLElement>(DataAttribute.FoodHistoryName)!;
+    const editDateButton = element.querySelector<HTMLButtonElement>(
+      DataAttribute.EditDateButton
+    )!;
+    const changeFoodButton = element.querySelector<HTMLButtonElement>(
+      DataAttribute.ChangeFoodButton
+    )!;
+    const deleteButton = element.querySelector<HTMLButtonElement>(DataAttribute.DeleteButton)!;
+    const dateEditor = element.querySelector<HTMLElement>(DataAttribute.DateEditor)!;
+    const dateInput = element.querySelector<HTMLInputElement>(DataAttribute.DateInput)!;
+    const saveButton = element.querySelector<HTMLButtonElement>(DataAttribute.SaveButton)!;
+    const cancelButton = element.querySelector<HTMLButtonElement>(DataAttribute.CancelButton)!;
     date.innerText = Text.formatDateWithTime(entry.date);
-    name.innerText = entry.consumedName;
+    name.innerText = entry.portion
+      ? `${entry.consumedName} (${entry.portion.toString()})`
+      : entry.consumedName;
+    name.classList.toggle(
+      CssClass.TextLabel, !historyData.isCounted(entry, applicationData.selectedWeek!.endDate)
+    );
+    dateEditor.classList.add(CssClass.Hidden);
+    editDateButton.addEventListener(
+      'click', () => this.handleEditDateClick(entry, dateEditor, dateInput)
+    );
+    saveButton.addEventListener(
+      'click', () => this.handleSaveDateClick(entry, dateEditor, dateInput)
+    );
+    cancelButton.addEventListener(
+      'click', () => dateEditor.classList.add(CssClass.Hidden)
+    );
+    changeFoodButton.addEventListener('click', () => this.handleChangeFoodClick(entry));
+    deleteButton.addEventListener('click', () => this.handleDeleteClick(entry));
     return element;
   }
 
+  /**
+   * Logs an error that occurred while storing a change to the history and tells the user the
+   * change failed.
+   *
+   * @param error
+   */
+  private showStoreError(error: unknown): void {
+    console.error('Failed to store history entries', error);
+    toast.show('The change could not be stored.');
+  }
+
   // endregion
 
   // region event handlers
 
   private handleCollapseClick(
-    foodHistoryEntries: HTMLElement, collapseButton: HTMLButtonElement, expandButton: HTMLButtonElement
+    food: FoodEntry,
+    foodHistoryEntries: HTMLElement,
+    collapseButton: HTMLButtonElement,
+    expandButton: HTMLButtonElement
   ): void {
+    this.m_expandedFoods.delete(food.name);
     foodHistoryEntries.classList.add(CssClass.Hidden);
     collapseButton.classList.add(CssClass.Hidden);
     expandButton.classList.remove(CssClass.Hidden);
   }
 
+  private handleRemapClick(food: FoodEntry): void {
+    mainController.showPickFood(
+      entry => historyData.remap(food, entry.food).catch(error => this.showStoreError(error))
+    );
+  }
+
+  private handleCategoryCountsToggle(isExpanded: boolean): void {
+    this.m_isCategoryCountsExpanded = isExpanded;
+    this.updateCategoryCountsVisibility();
+  }
+
   private handleExpandClick(
-    foodHistoryEntries: HTMLElement, collapseButton: HTMLButtonElement, expandButton: HTMLButtonElement
+    food: FoodEntry,
+    foodHistoryEntries: HTMLElement,
+    collapseButton: HTMLButtonElement,
+    expandButton: HTMLButtonElement
   ): void {
+    this.m_expandedFoods.add(food.name);
     foodHistoryEntries.classList.remove(CssClass.Hidden);
     collapseButton.classList.remove(CssClass.Hidden);
     expandButton.classList.add(CssClass.Hidden);
   }
 
+  private handleEditDateClick(
+    entry: HistoryEntry, dateEditor: HTMLElement, dateInput: HTMLInputElement
+  ): void {
+    dateInput.value = Text.formatInputDateTime(entry.date);
+    dateEditor.classList.remove(CssClass.Hidden);
+    dateInput.focus();
+  }
+
+  private handleSaveDateClick(
+    entry: HistoryEntry, dateEditor: HTMLElement, dateInput: HTMLInputElement
+  ): void {
+    // the value of a datetime-local input is parsed as local time
+    const date = new Date(dateInput.value);
+    if (isNaN(date.getTime())) {
+      return;
+    }
+    dateEditor.classList.add(CssClass.Hidden);
+    historyData.changeDate(entry, date).catch(error => this.showStoreError(error));
+  }
+
+  private handleChangeFoodClick(entry: HistoryEntry): void {
+    mainController.showPickFood(
+      compareEntry => historyData.changeFood(entry, compareEntry.food).catch(
+        error => this.showStoreError(error)
+      )
+    );
+  }
+
+  private handleDeleteClick(entry: HistoryEntry): void {
+    // the deletion can be undone, so there is no need to confirm it
+    historyData.delete(entry).catch(error => this.showStoreError(error));
+  }
+
+  /**
+   * Shows the changes if the page is visible.
+   */
+  private handleHistoryChange(): void {
+    if (this.isVisible()) {
+      this.render();
+    }
+  }
+
   // endregion
 }
 
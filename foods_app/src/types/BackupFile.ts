@@ -0,0 +1,60 @@
+// region imports
+
+import {HistoryStorageData} from "./HistoryStorageData";
+import {SettingsData} from "./SettingsData";
+
+// endregion
+
+// region exports
+
+/**
+ * The structure of an exported backup file.
+ */
+export type BackupFile = {
+  /**
+   * Identifies the file as a 20 Foods backup.
+   */
+  application: string;
+
+  /**
+   * Version of the structure, used to support files created by older versions of the app.
+   */
+  version: number;
+
+  /**
+   * Date and time of the export in ISO format.
+   */
+  exportDate: string;
+
+  settings: SettingsData;
+
+  history: HistoryStorageData[];
+
+  /**
+   * Rows with name, category and synonyms of the custom foods.
+   */
+  customFoods: string[][];
+
+  /**
+   * Rows with the food name and synonym of the synonyms the user added to existing foods.
+   */
+  customSynonyms: string[][];
+}
+
+/**
+ * Describes what will change when importing a backup.
+ */
+export type BackupPreview = {
+  historyCount: number;
+  newHistoryCount: number;
+  currentHistoryCount: number;
+  customFoodCount: number;
+  newCustomFoodCount: number;
+  currentCustomFoodCount: number;
+  /**
+   * Descriptions of the settings that differ from the current settings.
+   */
+  settingChanges: string[];
+}
+
+// endregion
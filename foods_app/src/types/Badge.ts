@@ -0,0 +1,16 @@
+// region exports
+
+/**
+ * A milestone the user can reach.
+ */
+export type Badge = {
+  icon: string;
+  name: string;
+  /**
+   * Describes what is needed to earn the badge.
+   */
+  description: string;
+  isEarned: boolean;
+}
+
+// endregion
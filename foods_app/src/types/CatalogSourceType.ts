@@ -0,0 +1,24 @@
+/**
+ * The possible sources of the food catalog.
+ */
+export enum CatalogSourceType {
+  /**
+   * The food list maintained by the authors of this app.
+   */
+  Default = 'default',
+
+  /**
+   * A Google Sheet that has been published to the web.
+   */
+  GoogleSheet = 'google-sheet',
+
+  /**
+   * Any url that returns a CSV file.
+   */
+  Url = 'url',
+
+  /**
+   * A CSV file selected by the user, only available in the cached catalog.
+   */
+  File = 'file',
+}
@@ -0,0 +1,24 @@
+// region imports
+
+import {CountingMode} from "./CountingMode";
+
+// endregion
+
+// region exports
+
+/**
+ * A change of the counting mode or the category weights as it is stored and exported.
+ */
+export type CountingChangeData = {
+  /**
+   * The date and time of the change as ISO string.
+   */
+  date: string;
+  countingMode: CountingMode;
+  /**
+   * The weights the user set for categories in plants counting mode, by category name.
+   */
+  categoryWeights: Record<string, number>;
+}
+
+// endregion
@@ -0,0 +1,14 @@
+/**
+ * Determines which foods count towards the weekly goal.
+ */
+export enum CountingMode {
+  /**
+   * Every food counts as one point.
+   */
+  All = 'all',
+
+  /**
+   * Only foods in plant-based categories count, using the weight of their category.
+   */
+  Plants = 'plants',
+}
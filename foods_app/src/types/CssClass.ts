@@ -1,4 +1,7 @@
 export enum CssClass {
   Hidden = 'tp-hidden',
   TextSuccess = 'tp-text--is-success',
+  TextWarning = 'tp-text--is-warning',
+  TextDanger = 'tp-text--is-danger',
+  TextLabel = 'tp-text--is-label',
 }
\ No newline at end of file
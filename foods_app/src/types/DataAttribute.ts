@@ -17,4 +17,27 @@ export enum DataAttribute {
   FoodHistoryEntries = '[data-tp-food-history-entries]',
   FoodHistoryDate = '[data-tp-food-history-date]',
   FoodHistoryName = '[data-tp-food-history-name]',
+  RemapButton = '[data-tp-remap-button]',
+  EditDateButton = '[data-tp-edit-date-button]',
+  ChangeFoodButton = '[data-tp-change-food-button]',
+  DeleteButton = '[data-tp-delete-button]',
+  DateEditor = '[data-tp-date-editor]',
+  DateInput = '[data-tp-date-input]',
+  SaveButton = '[data-tp-save-button]',
+  CancelButton = '[data-tp-cancel-button]',
+  ClearDate = '[data-tp-clear-date]',
+  EntryCount = '[data-tp-entry-count]',
+  RestoreButton = '[data-tp-restore-button]',
+  PortionAmount = '[data-tp-portion-amount]',
+  PortionUnit = '[data-tp-portion-unit]',
+  MealName = '[data-tp-meal-name]',
+  Goal = '[data-tp-goal]',
+  CategoryWeight = '[data-tp-category-weight]',
+  BadgeIcon = '[data-tp-badge-icon]',
+  BadgeName = '[data-tp-badge-name]',
+  BadgeDescription = '[data-tp-badge-description]',
+  DismissButton = '[data-tp-dismiss-button]',
+  SearchButton = '[data-tp-search-button]',
+  SynonymButton = '[data-tp-synonym-button]',
+  CreateButton = '[data-tp-create-button]',
 }
\ No newline at end of file
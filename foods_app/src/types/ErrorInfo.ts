@@ -0,0 +1,25 @@
+/**
+ * Information shown by the error page.
+ */
+export type ErrorInfo = {
+  /**
+   * Describes what failed.
+   */
+  title: string;
+
+  /**
+   * The message of the error that occurred.
+   */
+  message: string;
+
+  /**
+   * Called when the user wants to try again.
+   */
+  retry: () => void;
+
+  /**
+   * Called when the user wants to continue with the data that is available, null if it is not
+   * possible to continue.
+   */
+  continue: (() => void) | null;
+}
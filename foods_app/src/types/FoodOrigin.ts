@@ -0,0 +1,19 @@
+/**
+ * Where a food entry originates from.
+ */
+export enum FoodOrigin {
+  /**
+   * The food is part of the food catalog.
+   */
+  Catalog = 'catalog',
+
+  /**
+   * The food was created by the user.
+   */
+  Custom = 'custom',
+
+  /**
+   * The food is referred to by the history, but is no longer available.
+   */
+  Unknown = 'unknown',
+}
@@ -0,0 +1,20 @@
+// region imports
+
+import {FoodEntry} from "../classes/data/FoodEntry";
+
+// endregion
+
+// region exports
+
+/**
+ * How often a food has been eaten.
+ */
+export type FoodStatistic = {
+  food: FoodEntry;
+  /**
+   * The number of history entries of the food.
+   */
+  count: number;
+}
+
+// endregion
@@ -0,0 +1,24 @@
+// region imports
+
+import {CompareEntry} from "../classes/data/CompareEntry";
+
+// endregion
+
+// region exports
+
+/**
+ * Part of a text that resembles one or more foods, but not closely enough to be sure which food
+ * was meant.
+ */
+export type FuzzySuggestion = {
+  /**
+   * The part of the text as it was entered.
+   */
+  text: string;
+  /**
+   * The foods that might have been meant, the most similar food first.
+   */
+  entries: CompareEntry[];
+}
+
+// endregion
@@ -0,0 +1,17 @@
+// region exports
+
+/**
+ * A change of the weekly goal as it is stored and exported.
+ */
+export type GoalChangeData = {
+  /**
+   * The date and time of the change as ISO string.
+   */
+  date: string;
+  /**
+   * The number of different foods to eat per week from that moment on.
+   */
+  goal: number;
+}
+
+// endregion
@@ -0,0 +1,35 @@
+// region imports
+
+import {PortionData} from "./PortionData";
+import {Meal} from "./Meal";
+
+// endregion
+
+/**
+ * The data of a history entry as it is stored and exported.
+ */
+export type HistoryStorageData = {
+  /**
+   * Key of the entry in the database, not set for entries that have not been stored yet and for
+   * exported entries.
+   */
+  id?: number;
+  /**
+   * Schema version of the data, used to upgrade data stored by older versions.
+   */
+  version?: number;
+  foodName: string;
+  consumedName: string;
+  /**
+   * Date in ISO format.
+   */
+  date: string;
+  /**
+   * The consumed amount, null if no portion was entered.
+   */
+  portion: PortionData | null;
+  /**
+   * The meal the food was part of, null if no meal was selected.
+   */
+  meal: Meal | null;
+}
@@ -0,0 +1,28 @@
+// region imports
+
+import {HistoryStorageData} from "./HistoryStorageData";
+
+// endregion
+
+// region exports
+
+/**
+ * The history entries removed by clearing the history, as they are stored in the trash.
+ */
+export type HistoryTrashData = {
+  /**
+   * Key of the item in the database, not set for items that have not been stored yet.
+   */
+  id?: number;
+  /**
+   * Schema version of the data, used to upgrade data stored by older versions.
+   */
+  version?: number;
+  /**
+   * Date and time the history was cleared in ISO format.
+   */
+  clearDate: string;
+  entries: HistoryStorageData[];
+}
+
+// endregion
@@ -0,0 +1,9 @@
+/**
+ * The meals a history entry can belong to.
+ */
+export enum Meal {
+  Breakfast = 'breakfast',
+  Lunch = 'lunch',
+  Dinner = 'dinner',
+  Snack = 'snack',
+}
@@ -0,0 +1,17 @@
+// region exports
+
+/**
+ * A change of the minimum portion as it is stored and exported.
+ */
+export type MinimumPortionChangeData = {
+  /**
+   * The date and time of the change as ISO string.
+   */
+  date: string;
+  /**
+   * Portions smaller than this number of grams do not count towards the goal.
+   */
+  minimumPortion: number;
+}
+
+// endregion
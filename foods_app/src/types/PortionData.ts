@@ -0,0 +1,17 @@
+// region imports
+
+import {PortionUnit} from "./PortionUnit";
+
+// endregion
+
+// region exports
+
+/**
+ * A portion as it is stored and exported.
+ */
+export type PortionData = {
+  amount: number;
+  unit: PortionUnit;
+}
+
+// endregion
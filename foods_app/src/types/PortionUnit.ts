@@ -0,0 +1,11 @@
+/**
+ * The units a portion can be expressed in.
+ */
+export enum PortionUnit {
+  Gram = 'gram',
+  Pinch = 'pinch',
+  Teaspoon = 'teaspoon',
+  Tablespoon = 'tablespoon',
+  Handful = 'handful',
+  Serving = 'serving',
+}
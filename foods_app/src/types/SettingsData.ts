@@ -0,0 +1,38 @@
+// region imports
+
+import {CatalogSourceType} from "./CatalogSourceType";
+import {GoalChangeData} from "./GoalChangeData";
+import {CountingChangeData} from "./CountingChangeData";
+import {MinimumPortionChangeData} from "./MinimumPortionChangeData";
+
+// endregion
+
+// region exports
+
+/**
+ * The settings as they are stored and exported.
+ */
+export type SettingsData = {
+  /**
+   * Schema version of the data, used to upgrade data stored by older versions.
+   */
+  version?: number;
+  startDayOfWeek: number;
+  catalogSourceType: CatalogSourceType;
+  catalogUrl: string;
+  /**
+   * All changes of the minimum portion, oldest first. Empty while all portions count.
+   */
+  minimumPortionChanges: MinimumPortionChangeData[];
+  /**
+   * All changes of the weekly goal, oldest first. Empty while the default goal is used.
+   */
+  goalChanges: GoalChangeData[];
+  /**
+   * All changes of the counting mode and category weights, oldest first. Empty while all foods
+   * count.
+   */
+  countingChanges: CountingChangeData[];
+}
+
+// endregion
@@ -0,0 +1,29 @@
+// region imports
+
+import {CompareEntry} from "../classes/data/CompareEntry";
+import {FuzzySuggestion} from "./FuzzySuggestion";
+
+// endregion
+
+// region exports
+
+/**
+ * The foods found in a text.
+ */
+export type TextMatches = {
+  /**
+   * The foods that were found, either literally or spelled almost the same.
+   */
+  entries: CompareEntry[];
+  /**
+   * Parts of the text the user should choose a food for.
+   */
+  suggestions: FuzzySuggestion[];
+  /**
+   * Parts of the text that did not match any food, each part contains one or more consecutive
+   * words.
+   */
+  unrecognized: string[];
+}
+
+// endregion
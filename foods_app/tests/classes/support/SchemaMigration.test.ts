@@ -0,0 +1,41 @@
+import {describe, expect, it} from "vitest";
+import {SchemaMigration} from "../../../src/classes/support/SchemaMigration";
+
+describe('SchemaMigration', () => {
+  const migration = new SchemaMigration('test', [
+    data => ({...data, first: true}),
+    data => ({...data, second: true}),
+  ]);
+
+  it('uses the number of steps as version', () => {
+    expect(migration.version).toBe(2);
+  });
+
+  it('treats data without a version property as version 0', () => {
+    expect(migration.getVersion({})).toBe(0);
+    expect(migration.getVersion([])).toBe(0);
+    expect(migration.getVersion(null)).toBe(0);
+    expect(migration.getVersion({version: 1})).toBe(1);
+  });
+
+  it('only needs to migrate data with an older version', () => {
+    expect(migration.needsMigration({})).toBe(true);
+    expect(migration.needsMigration({version: 1})).toBe(true);
+    expect(migration.needsMigration({version: 2})).toBe(false);
+  });
+
+  it('runs all steps after the version of the data', () => {
+    expect(migration.migrate({})).toEqual({first: true, second: true, version: 2});
+    expect(migration.migrate({version: 1})).toEqual({second: true, version: 2});
+    expect(migration.migrate({version: 2})).toEqual({version: 2});
+  });
+
+  it('stops at the target version', () => {
+    expect(migration.migrate({}, 1)).toEqual({first: true, version: 1});
+  });
+
+  it('rejects data with a newer or invalid version', () => {
+    expect(() => migration.migrate({version: 3})).toThrow('Unsupported test version: 3');
+    expect(() => migration.migrate({version: 'new'})).toThrow('Unsupported test version');
+  });
+});
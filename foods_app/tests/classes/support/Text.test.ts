@@ -0,0 +1,73 @@
+import {describe, expect, it} from "vitest";
+import {Text} from "../../../src/classes/support/Text";
+
+describe('stem', () => {
+  it.each([
+    // ies, ie and consonant followed by y
+    ['berries', 'berri'],
+    ['berry', 'berri'],
+    ['cookies', 'cooki'],
+    ['cookie', 'cooki'],
+    ['pies', 'pi'],
+    ['pie', 'pi'],
+    // oes, ches, shes, xes, zes and sses
+    ['tomatoes', 'tomato'],
+    ['tomato', 'tomato'],
+    ['peaches', 'peach'],
+    ['peach', 'peach'],
+    ['radishes', 'radish'],
+    ['boxes', 'box'],
+    ['glasses', 'glass'],
+    // s
+    ['apples', 'apple'],
+    ['apple', 'apple'],
+    ['lentils', 'lentil'],
+    // words ending with ss, us or is keep the s
+    ['hummus', 'hummus'],
+    ['swiss', 'swiss'],
+    ['anis', 'anis'],
+    // a vowel followed by y is kept
+    ['soy', 'soy'],
+    ['turkey', 'turkey'],
+    // short words are not changed
+    ['is', 'is'],
+    ['ys', 'ys'],
+  ])('%s -> %s', (word, stem) => {
+    expect(Text.stem(word)).toBe(stem);
+  });
+});
+
+describe('normalizeForComparison', () => {
+  it('joins the stems of the words', () => {
+    expect(Text.normalizeForComparison('Green Beans')).toBe('greenbean');
+    expect(Text.normalizeForComparison(' ice-cream ')).toBe('icecream');
+  });
+
+  it.each([
+    ['apple', 'apples'],
+    ['blueberry', 'blueberries'],
+    ['cherry tomato', 'cherry tomatoes'],
+    ['chickpea', 'chickpeas'],
+    ['peach', 'peaches'],
+    ['potato', 'potatoes'],
+    ['radish', 'radishes'],
+    ['walnut', 'walnuts'],
+    ['brussels sprout', 'brussels sprouts'],
+    ['cookie', 'cookies'],
+    ['pie', 'pies'],
+    ['soy bean', 'soy beans'],
+    ['sweet potato', 'sweet potatoes'],
+  ])('normalizes %s and %s to the same value', (singular, plural) => {
+    expect(Text.normalizeForComparison(plural)).toBe(Text.normalizeForComparison(singular));
+  });
+
+  it.each([
+    ['hummus'],
+    ['swiss chard'],
+    ['anis'],
+    ['asparagus'],
+    ['soy'],
+  ])('keeps the ending of %s', name => {
+    expect(Text.normalizeForComparison(name)).toBe(name.replace(' ', ''));
+  });
+});
@@ -0,0 +1,102 @@
+import {beforeAll, describe, expect, it, vi} from "vitest";
+import {foodData} from "../../../src/singletons/data/foodData";
+
+const CATALOG: string[][] = [
+  ['rice', 'grains'],
+  ['licorice', 'sweets'],
+  ['pea', 'legumes'],
+  ['peanut', 'nuts'],
+  ['beans', 'legumes'],
+  ['green beans', 'vegetables'],
+  ['ice cream', 'dairy'],
+  ['sweetcorn', 'vegetables'],
+  ['chickpea', 'legumes', 'garbanzo beans, garbanzos'],
+  ['blueberry', 'fruit'],
+  ['tomato', 'vegetables'],
+  ['courgette', 'vegetables'],
+];
+
+/**
+ * Gets the names of the foods found in a text, sorted by name.
+ */
+function findFoods(text: string): string[] {
+  return foodData.processText(text).entries.map(entry => entry.food.name).sort();
+}
+
+beforeAll(() => {
+  // the custom foods are stored in local storage
+  const items = new Map<string, string>();
+  vi.stubGlobal('localStorage', {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => items.set(key, value),
+    removeItem: (key: string) => items.delete(key),
+  });
+  vi.spyOn(console, 'debug').mockImplementation(() => {});
+  foodData.import(CATALOG);
+});
+
+describe('processText', () => {
+  it.each([
+    ['licorice', ['licorice']],
+    ['some licorice and rice', ['licorice', 'rice']],
+    ['peanut', ['peanut']],
+    ['a pea and a peanut', ['pea', 'peanut']],
+  ])('does not find a food inside a longer word: %s', (text, foods) => {
+    expect(findFoods(text)).toEqual(foods);
+  });
+
+  it('prefers a food with more words', () => {
+    expect(findFoods('green beans')).toEqual(['green beans']);
+  });
+
+  it('finds a single word food next to a food with more words', () => {
+    expect(findFoods('green beans and beans')).toEqual(['beans', 'green beans']);
+    expect(findFoods('baked beans')).toEqual(['beans']);
+  });
+
+  it('ignores the spaces between words', () => {
+    expect(findFoods('icecream')).toEqual(['ice cream']);
+    expect(findFoods('ice cream')).toEqual(['ice cream']);
+    expect(findFoods('sweet corn')).toEqual(['sweetcorn']);
+  });
+
+  it('finds plural forms', () => {
+    expect(findFoods('blueberries and tomatoes')).toEqual(['blueberry', 'tomato']);
+  });
+
+  it('finds a food by a synonym', () => {
+    const [entry] = foodData.processText('garbanzo beans').entries;
+    expect(entry.food.name).toBe('chickpea');
+    expect(entry.original).toBe('garbanzo beans');
+    expect(findFoods('garbanzos')).toEqual(['chickpea']);
+  });
+
+  it('does not join the words left over after a match', () => {
+    expect(findFoods('pea rice nut')).toEqual(['pea', 'rice']);
+    expect(findFoods('ice rice cream')).toEqual(['rice']);
+  });
+
+  it('uses every word in one match only', () => {
+    expect(findFoods('rice rice')).toEqual(['rice']);
+  });
+
+  it('matches misspelled foods', () => {
+    expect(findFoods('corgette')).toEqual(['courgette']);
+  });
+
+  it('reports words that are not recognized', () => {
+    const result = foodData.processText('I had rice with purple carrots and a bit of pea');
+    expect(result.unrecognized).toEqual(['purple carrots']);
+  });
+
+  it('finds a food by a synonym added by the user', () => {
+    foodData.addSynonym(foodData.findForName('courgette')!, 'zucchini');
+    expect(findFoods('zucchinis and rice')).toEqual(['courgette', 'rice']);
+  });
+
+  it('does not add a synonym that is already used', () => {
+    expect(() => foodData.addSynonym(foodData.findForName('pea')!, 'Rice')).toThrow(
+      '"rice" is already used for "rice".'
+    );
+  });
+});
@@ -0,0 +1,196 @@
+import {describe, expect, it} from "vitest";
+import {SchemaMigration} from "../../../src/classes/support/SchemaMigration";
+import {storageSchema} from "../../../src/singletons/data/storageSchema";
+import {CatalogSourceType} from "../../../src/types/CatalogSourceType";
+import {CountingMode} from "../../../src/types/CountingMode";
+
+/**
+ * Runs a single step: migrates data of a version to the next version.
+ */
+function migrateStep(migration: SchemaMigration, data: object, version: number): unknown {
+  return migration.migrate({...data, version}, version + 1);
+}
+
+describe('history', () => {
+  const entry = {foodName: 'apple', consumedName: 'apples', date: '2025-01-06T12:00:00.000Z'};
+
+  it('has a step for every version', () => {
+    expect(storageSchema.history.version).toBe(3);
+  });
+
+  it('1: adds the version property', () => {
+    expect(storageSchema.history.migrate(entry, 1)).toEqual({...entry, version: 1});
+  });
+
+  it('2: adds the portion', () => {
+    expect(migrateStep(storageSchema.history, entry, 1)).toEqual(
+      {...entry, portion: null, version: 2}
+    );
+  });
+
+  it('2: keeps an existing portion', () => {
+    const portion = {amount: 100, unit: 'g'};
+    expect(migrateStep(storageSchema.history, {...entry, portion}, 1)).toEqual(
+      {...entry, portion, version: 2}
+    );
+  });
+
+  it('3: adds the meal', () => {
+    expect(migrateStep(storageSchema.history, {...entry, portion: null}, 2)).toEqual(
+      {...entry, portion: null, meal: null, version: 3}
+    );
+  });
+
+  it('upgrades an entry without version to the current version', () => {
+    expect(storageSchema.history.migrate(entry)).toEqual(
+      {...entry, portion: null, meal: null, version: 3}
+    );
+  });
+});
+
+describe('trash', () => {
+  it('1: keeps the data', () => {
+    const data = {date: '2025-01-06T12:00:00.000Z', entries: []};
+    expect(storageSchema.trash.migrate(data)).toEqual({...data, version: 1});
+  });
+});
+
+describe('settings', () => {
+  const version1 = {
+    startDayOfWeek: 1,
+    catalogSourceType: CatalogSourceType.Url,
+    catalogUrl: 'https://example.com/foods.csv'
+  };
+
+  it('has a step for every version', () => {
+    expect(storageSchema.settings.version).toBe(6);
+  });
+
+  it('1: converts the separately stored strings', () => {
+    const legacy = {
+      startDayOfWeek: '1',
+      catalogSourceType: CatalogSourceType.Url,
+      catalogUrl: 'https://example.com/foods.csv'
+    };
+    expect(storageSchema.settings.migrate(legacy, 1)).toEqual({...version1, version: 1});
+  });
+
+  it('1: uses defaults for missing or invalid legacy values', () => {
+    expect(storageSchema.settings.migrate({startDayOfWeek: 'x'}, 1)).toEqual({
+      startDayOfWeek: 0,
+      catalogSourceType: CatalogSourceType.Default,
+      catalogUrl: '',
+      version: 1
+    });
+  });
+
+  it('2: adds the minimum portion', () => {
+    expect(migrateStep(storageSchema.settings, version1, 1)).toEqual(
+      {...version1, minimumPortion: 0, version: 2}
+    );
+  });
+
+  it('3: adds the goal changes', () => {
+    const version2 = {...version1, minimumPortion: 50};
+    expect(migrateStep(storageSchema.settings, version2, 2)).toEqual(
+      {...version2, goalChanges: [], version: 3}
+    );
+  });
+
+  it('4: adds the counting mode', () => {
+    const version3 = {...version1, minimumPortion: 50, goalChanges: []};
+    expect(migrateStep(storageSchema.settings, version3, 3)).toEqual(
+      {...version3, countingMode: CountingMode.All, categoryWeights: {}, version: 4}
+    );
+  });
+
+  describe('5: records the counting mode and category weights as changes', () => {
+    const version4 = {...version1, minimumPortion: 0, goalChanges: []};
+
+    it('without changes while all foods count', () => {
+      const data = {...version4, countingMode: CountingMode.All, categoryWeights: {}};
+      expect(migrateStep(storageSchema.settings, data, 4)).toEqual(
+        {...version4, countingChanges: [], version: 5}
+      );
+    });
+
+    it('with a change for all past weeks', () => {
+      const categoryWeights = {herbs: 0.25};
+      const data = {...version4, countingMode: CountingMode.Plants, categoryWeights};
+      expect(migrateStep(storageSchema.settings, data, 4)).toEqual({
+        ...version4,
+        countingChanges: [
+          {date: new Date(0).toISOString(), countingMode: CountingMode.Plants, categoryWeights}
+        ],
+        version: 5
+      });
+    });
+  });
+
+  describe('6: records the minimum portion as changes', () => {
+    const version5 = {...version1, goalChanges: [], countingChanges: []};
+
+    it('without changes while all portions count', () => {
+      expect(migrateStep(storageSchema.settings, {...version5, minimumPortion: 0}, 5)).toEqual(
+        {...version5, minimumPortionChanges: [], version: 6}
+      );
+    });
+
+    it('with a change for all past weeks', () => {
+      expect(migrateStep(storageSchema.settings, {...version5, minimumPortion: 50}, 5)).toEqual({
+        ...version5,
+        minimumPortionChanges: [{date: new Date(0).toISOString(), minimumPortion: 50}],
+        version: 6
+      });
+    });
+  });
+});
+
+describe('customFoods', () => {
+  const rows = [['oat milk', 'dairy alternatives', 'oatmilk']];
+
+  it('has a step for every version', () => {
+    expect(storageSchema.customFoods.version).toBe(2);
+  });
+
+  it('1: wraps the rows in an object', () => {
+    expect(storageSchema.customFoods.migrate(rows, 1)).toEqual({rows, version: 1});
+  });
+
+  it('2: adds the synonyms', () => {
+    expect(migrateStep(storageSchema.customFoods, {rows}, 1)).toEqual(
+      {rows, synonyms: [], version: 2}
+    );
+  });
+});
+
+describe('catalogCache', () => {
+  it('1: adds the version property', () => {
+    const data = {rows: [['apple', 'fruit']], fetchDate: '2025-01-06T12:00:00.000Z', source: null};
+    expect(storageSchema.catalogCache.migrate(data)).toEqual({...data, version: 1});
+  });
+});
+
+describe('backup', () => {
+  const version1 = {
+    application: '20foods',
+    exportDate: '2025-01-06T12:00:00.000Z',
+    settings: {},
+    history: [],
+    customFoods: []
+  };
+
+  it('has a step for every version', () => {
+    expect(storageSchema.backup.version).toBe(2);
+  });
+
+  it('1: keeps the data', () => {
+    expect(storageSchema.backup.migrate(version1, 1)).toEqual({...version1, version: 1});
+  });
+
+  it('2: adds the custom synonyms', () => {
+    expect(migrateStep(storageSchema.backup, version1, 1)).toEqual(
+      {...version1, customSynonyms: [], version: 2}
+    );
+  });
+});
@@ -0,0 +1,13 @@
+<?php
+
+/**
+ * Appends a timestamp query parameter to the given filename based on its last modification time.
+ *
+ * @param string $filename File and path relative to the current directory.
+ *
+ * @return string The filename with a query parameter for cache busting.
+ */
+function timestamped(string $filename): string
+{
+  return $filename.'?v='.filemtime(__DIR__.'/'.$filename);
+}
@@ -1,16 +1,6 @@
 <?php
 
-/**
- * Appends a timestamp query parameter to the given filename based on its last modification time.
- *
- * @param string $filename File and path relative to the current directory.
- *
- * @return string The filename with a query parameter for cache busting.
- */
-function timestamped(string $filename): string
-{
-  return $filename.'?v='.filemtime(__DIR__.'/'.$filename);
-}
+require_once __DIR__.'/functions.php';
 
 ?><!DOCTYPE html>
 <html lang="en">
@@ -22,7 +12,9 @@ function timestamped(string $filename): string
       content="A web app to help you to reach the goal of eating 20 different food items each week."
     />
     <title>20 foods | loading</title>
+    <meta name="theme-color" content="#e6e6e6"/>
     <link rel="icon" type="image/png" href="favicon.png"/>
+    <link rel="manifest" href="manifest.json"/>
     <link rel="stylesheet" href="<?= timestamped('css/main.css') ?>"/>
   </head>
   <body>
@@ -58,6 +50,45 @@ function timestamped(string $filename): string
             </button>
           </template>
         </div>
+        <div id="add-create" class="tp-page__content tp-hidden">
+          <p class="tp-text">
+            No food matches the filter. You can create your own food.
+          </p>
+          <div class="tp-form__item">
+            <label for="add-create-name-input" class="tp-form__label">Name:</label>
+            <input
+              type="text"
+              id="add-create-name-input"
+              class="tp-form__input tp-form__input--is-wide"
+            />
+          </div>
+          <div class="tp-form__item">
+            <label for="add-create-category-input" class="tp-form__label">Category:</label>
+            <input
+              type="text"
+              id="add-create-category-input"
+              class="tp-form__input tp-form__input--is-wide"
+              list="add-create-categories"
+            />
+            <datalist id="add-create-categories"></datalist>
+          </div>
+          <div class="tp-form__item">
+            <label for="add-create-synonyms-input" class="tp-form__label">
+              Synonyms (separated by commas):
+            </label>
+            <input
+              type="text"
+              id="add-create-synonyms-input"
+              class="tp-form__input tp-form__input--is-wide"
+            />
+          </div>
+          <p id="add-create-error" class="tp-text tp-text--is-danger"></p>
+          <div class="tp-buttons__container tp-buttons__container--is-centered">
+            <button id="add-create-button" class="tp-button tp-button--is-success">
+              Create food
+            </button>
+          </div>
+        </div>
       </section>
 
       <section id="confirm-page" class="tp-page tp-page--is-hidden">
@@ -85,6 +116,53 @@ function timestamped(string $filename): string
             <span class="tp-icon tp-icon__plus"></span>
           </button>
         </header>
+        <div class="tp-page__content tp-form__item">
+          <label for="confirm-date-select" class="tp-form__label">Consumed:</label>
+          <div class="tp-buttons__container tp-buttons__container--is-wrapping">
+            <select id="confirm-date-select" class="tp-form__select"></select>
+            <!--suppress HtmlFormInputWithoutLabel -->
+            <input
+              type="datetime-local"
+              id="confirm-date-input"
+              class="tp-form__input tp-form__input--is-auto"
+              aria-label="Date and time"
+            />
+            <!--suppress HtmlFormInputWithoutLabel -->
+            <select id="confirm-meal-select" class="tp-form__select" aria-label="Meal"></select>
+          </div>
+        </div>
+        <div id="confirm-suggestions" class="tp-page__content tp-layout__column">
+          <template id="confirm-suggestion-template">
+            <div class="tp-form__item">
+              <span class="tp-text">
+                Did you mean for "<span data-tp-original-name></span>":
+              </span>
+              <div class="tp-buttons__container tp-buttons__container--is-wrapping">
+                <button class="tp-button" data-tp-dismiss-button>
+                  None of these
+                </button>
+              </div>
+            </div>
+          </template>
+          <template id="confirm-suggestion-option-template">
+            <button class="tp-button tp-button--is-success" data-tp-food-name></button>
+          </template>
+        </div>
+        <div id="confirm-unrecognized" class="tp-page__content tp-layout__column">
+          <template id="confirm-unrecognized-template">
+            <div class="tp-form__item">
+              <span class="tp-text">
+                Not recognized: "<span data-tp-original-name></span>"
+              </span>
+              <div class="tp-buttons__container tp-buttons__container--is-wrapping">
+                <button class="tp-button" data-tp-search-button>Search</button>
+                <button class="tp-button" data-tp-synonym-button>Use for a food</button>
+                <button class="tp-button" data-tp-create-button>Create food</button>
+                <button class="tp-button" data-tp-dismiss-button>Ignore</button>
+              </div>
+            </div>
+          </template>
+        </div>
         <p id="confirm-none" class="tp-page__content">
           Use the + button at the top right to add food you consumed.
         </p>
@@ -101,6 +179,22 @@ function timestamped(string $filename): string
             >
               <span class="tp-icon tp-icon__minus"></span>
             </button>
+            <div class="tp-grid__full-row tp-buttons__container">
+              <!--suppress HtmlFormInputWithoutLabel -->
+              <input
+                type="number"
+                min="0"
+                step="any"
+                placeholder="1"
+                class="tp-form__input tp-form__input--is-small"
+                aria-label="Amount"
+                data-tp-portion-amount
+              />
+              <!--suppress HtmlFormInputWithoutLabel -->
+              <select class="tp-form__select" aria-label="Portion" data-tp-portion-unit>
+                <option value="">no portion</option>
+              </select>
+            </div>
           </template>
         </div>
       </section>
@@ -147,6 +241,24 @@ function timestamped(string $filename): string
         </div>
       </section>
 
+      <section id="error-page" class="tp-page tp-page--is-hidden">
+        <header class="tp-header__container">
+          <h4>Something went wrong</h4>
+        </header>
+        <div class="tp-page__content tp-page__content--has-large-gap">
+          <p id="error-title" class="tp-text tp-text--is-medium"></p>
+          <p id="error-message" class="tp-text tp-text--is-danger"></p>
+          <div class="tp-buttons__container tp-buttons__container--is-centered">
+            <button id="error-retry-button" class="tp-button tp-button--is-success">
+              Retry
+            </button>
+            <button id="error-continue-button" class="tp-button tp-button--is-warning">
+              Continue with available data
+            </button>
+          </div>
+        </div>
+      </section>
+
       <section id="history-page" class="tp-page tp-page--is-hidden">
         <header class="tp-header__container">
           <button
@@ -168,7 +280,8 @@ function timestamped(string $filename): string
               <span class="tp-text tp-text--is-small" data-tp-end-date></span>
             </div>
             <div class="tp-text tp-text--is-large tp-text--align-end">
-              <span data-tp-food-count></span>&nbsp;&nbsp;
+              <span data-tp-food-count></span>
+              <span class="tp-text tp-text--is-small">/ <span data-tp-goal></span></span>&nbsp;&nbsp;
             </div>
             <button class="tp-button tp-button--is-icon" data-tp-view-button>
               ▶
@@ -177,6 +290,79 @@ function timestamped(string $filename): string
         </div>
       </section>
 
+      <section id="statistics-page" class="tp-page tp-page--is-hidden">
+        <header class="tp-header__container">
+          <button
+            class="tp-button tp-button--is-header-icon"
+            data-tp-back-button
+            aria-label="Back"
+          >
+            ⬅
+          </button>
+          <h4>Statistics</h4>
+        </header>
+        <p id="statistics-empty" class="tp-page__content tp-text tp-text--is-label">
+          There are no statistics yet, add the foods you eat first.
+        </p>
+        <div
+          id="statistics-content"
+          class="tp-page__content tp-page__content--is-scrollable tp-page__content--has-large-gap"
+        >
+          <div class="tp-form__item">
+            <span class="tp-form__label">
+              Foods per week (the line shows the goal):
+            </span>
+            <div id="statistics-chart"></div>
+            <div class="tp-layout__row tp-text tp-text--is-small tp-text--is-label">
+              <span id="statistics-chart-start"></span>
+              <span id="statistics-chart-end"></span>
+            </div>
+          </div>
+          <div class="tp-grid tp-grid--has-two-columns-expand-second tp-grid--align-baseline">
+            <div class="tp-grid__label">average per week:</div>
+            <div id="statistics-average" class="tp-text tp-text--is-medium"></div>
+            <div class="tp-grid__label">goal streak:</div>
+            <div id="statistics-streak" class="tp-text tp-text--is-medium"></div>
+            <div class="tp-grid__label">longest streak:</div>
+            <div id="statistics-longest-streak" class="tp-text tp-text--is-medium"></div>
+            <div class="tp-grid__label">different foods:</div>
+            <div id="statistics-food-count" class="tp-text tp-text--is-medium"></div>
+          </div>
+          <div class="tp-form__item">
+            <span class="tp-form__label">Most eaten foods:</span>
+            <div
+              id="statistics-most-eaten"
+              class="tp-grid tp-grid--has-two-columns-expand-second tp-grid--align-baseline"
+            ></div>
+          </div>
+          <div class="tp-form__item">
+            <span class="tp-form__label">Least eaten foods:</span>
+            <div
+              id="statistics-least-eaten"
+              class="tp-grid tp-grid--has-two-columns-expand-second tp-grid--align-baseline"
+            ></div>
+          </div>
+          <div class="tp-form__item">
+            <span class="tp-form__label">Badges:</span>
+            <div
+              id="statistics-badges"
+              class="tp-grid tp-grid--has-two-columns-expand-second tp-grid--align-baseline"
+            ></div>
+          </div>
+          <template id="badge-entry">
+            <div class="tp-text tp-text--is-medium" data-tp-badge-icon></div>
+            <div class="tp-layout__column tp-text">
+              <span data-tp-badge-name></span>
+              <span class="tp-text tp-text--is-small" data-tp-badge-description></span>
+            </div>
+          </template>
+          <template id="food-statistic">
+            <div class="tp-text tp-text--align-end" data-tp-food-count></div>
+            <div class="tp-text" data-tp-food-name></div>
+          </template>
+        </div>
+      </section>
+
       <section id="home-page" class="tp-page tp-page--is-hidden">
         <header class="tp-header__container">
           <h2 class="tp-header__title">
@@ -197,6 +383,13 @@ function timestamped(string $filename): string
           >
             📋
           </button>
+          <button
+            id="statistics-button"
+            class="tp-button tp-button--is-header-icon"
+            aria-label="Statistics"
+          >
+            📈
+          </button>
           <button
             id="settings-button"
             class="tp-button tp-button--is-header-icon"
@@ -211,7 +404,7 @@ function timestamped(string $filename): string
               goal:
             </div>
             <div class="tp-text tp-text--is-medium">
-              <span id="food-count" class="tp-text--is-large"></span> of 20
+              <span id="food-count" class="tp-text--is-large"></span> of <span id="food-goal"></span>
             </div>
             <div class="tp-grid__label">
               days left:
@@ -231,6 +424,16 @@ function timestamped(string $filename): string
             <div class="tp-text">
               <span id="today"></span>
             </div>
+            <div class="tp-grid__label">
+              streak:
+            </div>
+            <div class="tp-text">
+              <span id="home-streak"></span>
+            </div>
+            <div id="home-badges-label" class="tp-grid__label">
+              badges:
+            </div>
+            <div id="home-badges" class="tp-text tp-text--is-medium"></div>
           </div>
           <div
             class="tp-buttons__container tp-buttons__container--is-centered"
@@ -253,6 +456,18 @@ function timestamped(string $filename): string
           <p id="missing-speech-recognition" class="tp-text">
             Your browser does not support speech recognition.
           </p>
+          <div id="suggestions" class="tp-form__item">
+            <span class="tp-form__label">Suggestions for this week:</span>
+            <div
+              id="suggestion-entries"
+              class="tp-grid tp-grid--has-two-columns-expand-second tp-grid--align-baseline"
+            >
+              <template id="suggestion-entry">
+                <div class="tp-text" data-tp-food-name></div>
+                <div class="tp-text tp-text--is-small tp-text--is-label" data-tp-category-name></div>
+              </template>
+            </div>
+          </div>
         </div>
       </section>
 
@@ -286,6 +501,131 @@ function timestamped(string $filename): string
               <option value="6">Saturday</option>
             </select>
           </div>
+          <div class="tp-form__item">
+            <label for="goal-input" class="tp-form__label">
+              Number of different foods to eat per week:
+            </label>
+            <input
+              type="number"
+              id="goal-input"
+              class="tp-form__input tp-form__input--is-small"
+              min="1"
+              max="100"
+              step="1"
+            />
+          </div>
+          <div class="tp-form__item">
+            <label for="counting-mode-select" class="tp-form__label">Count towards the goal:</label>
+            <select id="counting-mode-select" class="tp-form__select">
+              <option value="all">All foods</option>
+              <option value="plants">Only plant-based foods</option>
+            </select>
+          </div>
+          <div id="category-weights-item" class="tp-form__item">
+            <span class="tp-form__label">Points per food for each category:</span>
+            <div
+              id="category-weights"
+              class="tp-grid tp-grid--has-two-columns-expand-second tp-grid--align-baseline"
+            >
+              <template id="category-weight">
+                <!--suppress HtmlFormInputWithoutLabel -->
+                <select class="tp-form__select" data-tp-category-weight>
+                  <option value="1">1 point</option>
+                  <option value="0.25">¼ point</option>
+                  <option value="0">not counted</option>
+                </select>
+                <span class="tp-text" data-tp-category-name></span>
+              </template>
+            </div>
+          </div>
+          <div class="tp-form__item">
+            <label for="minimum-portion-select" class="tp-form__label">
+              Count a food when the portion is at least:
+            </label>
+            <select id="minimum-portion-select" class="tp-form__select">
+              <option value="0">any amount</option>
+              <option value="5">a teaspoon (5 grams)</option>
+              <option value="15">a tablespoon (15 grams)</option>
+              <option value="30">a handful (30 grams)</option>
+            </select>
+          </div>
+          <div class="tp-form__item">
+            <label for="catalog-source-select" class="tp-form__label">Food list:</label>
+            <select id="catalog-source-select" class="tp-form__select">
+              <option value="default">Default food list</option>
+              <option value="google-sheet">Published Google Sheet</option>
+              <option value="url">CSV file url</option>
+              <option value="file">Local CSV file</option>
+            </select>
+          </div>
+          <div id="catalog-url-item" class="tp-form__item">
+            <label for="catalog-url-input" class="tp-form__label">Url:</label>
+            <input
+              type="url"
+              id="catalog-url-input"
+              class="tp-form__input tp-form__input--is-wide"
+              placeholder="https://..."
+            />
+          </div>
+          <div id="catalog-file-item" class="tp-form__item">
+            <label for="catalog-file-input" class="tp-form__label">File:</label>
+            <input type="file" id="catalog-file-input" accept=".csv,text/csv"/>
+          </div>
+          <div class="tp-buttons__container tp-buttons__container--is-centered">
+            <button id="catalog-apply-button" class="tp-button">
+              Use food list
+            </button>
+          </div>
+          <p id="catalog-status" class="tp-text"></p>
+          <p class="tp-text tp-text--is-label">
+            Food list retrieved: <span id="catalog-fetch-date"></span>
+          </p>
+          <div class="tp-form__item">
+            <span class="tp-form__label">Backup:</span>
+            <div class="tp-buttons__container">
+              <button id="export-button" class="tp-button">
+                Export data
+              </button>
+            </div>
+          </div>
+          <div class="tp-form__item">
+            <span class="tp-form__label">History as CSV (dates are optional):</span>
+            <div class="tp-buttons__container tp-buttons__container--is-wrapping">
+              <!--suppress HtmlFormInputWithoutLabel -->
+              <input
+                type="date"
+                id="csv-start-date-input"
+                class="tp-form__input tp-form__input--is-auto"
+                aria-label="From date"
+              />
+              <!--suppress HtmlFormInputWithoutLabel -->
+              <input
+                type="date"
+                id="csv-end-date-input"
+                class="tp-form__input tp-form__input--is-auto"
+                aria-label="Until date"
+              />
+              <button id="csv-export-button" class="tp-button">
+                Export CSV
+              </button>
+            </div>
+          </div>
+          <div class="tp-form__item">
+            <label for="import-file-input" class="tp-form__label">Import data:</label>
+            <input type="file" id="import-file-input" accept=".json,application/json"/>
+          </div>
+          <div id="import-preview" class="tp-form__item tp-hidden">
+            <ul id="import-preview-list" class="tp-text"></ul>
+            <div class="tp-buttons__container tp-buttons__container--is-centered">
+              <button id="import-merge-button" class="tp-button tp-button--is-success">
+                Merge
+              </button>
+              <button id="import-replace-button" class="tp-button tp-button--is-danger">
+                Replace
+              </button>
+            </div>
+          </div>
+          <p id="import-status" class="tp-text"></p>
           <div class="tp-buttons__container tp-buttons__container--is-centered">
             <button
               id="clear-history-button"
@@ -294,6 +634,24 @@ function timestamped(string $filename): string
               Clear history
             </button>
           </div>
+          <div class="tp-form__item">
+            <span class="tp-form__label">Trash (a cleared history is kept for 30 days):</span>
+            <p id="trash-empty" class="tp-text tp-text--is-label">The trash is empty.</p>
+            <div id="trash-entries" class="tp-grid tp-grid--has-three-columns-expand-first">
+              <template id="trash-entry">
+                <div class="tp-text" data-tp-clear-date></div>
+                <div class="tp-text tp-text--is-small" data-tp-entry-count></div>
+                <button class="tp-button" data-tp-restore-button>
+                  Restore
+                </button>
+              </template>
+            </div>
+            <div id="empty-trash-container" class="tp-buttons__container tp-buttons__container--is-centered">
+              <button id="empty-trash-button" class="tp-button tp-button--is-danger">
+                Empty trash
+              </button>
+            </div>
+          </div>
         </div>
       </section>
 
@@ -311,11 +669,55 @@ function timestamped(string $filename): string
             <div id="week-end-title" class="tp-text tp-text--is-small"></div>
           </div>
         </header>
+        <p id="week-unknown-foods" class="tp-page__content tp-text tp-text--is-warning">
+          Some foods are no longer part of the food list. Use the ⇄ button to select the food to
+          use instead.
+        </p>
+        <div id="week-category-summary" class="tp-page__content tp-layout__column">
+          <div class="tp-layout__row">
+            <span id="week-category-summary-title" class="tp-text tp-text--is-medium"></span>
+            <button
+              id="week-category-expand-button"
+              class="tp-button"
+              aria-label="Show the number of foods per category"
+            >
+              ▼
+            </button>
+            <button
+              id="week-category-collapse-button"
+              class="tp-button"
+              aria-label="Hide the number of foods per category"
+            >
+              ▲
+            </button>
+          </div>
+          <div id="week-category-missing" class="tp-text tp-text--is-small tp-text--is-warning"></div>
+          <div id="week-category-counts" class="tp-grid tp-grid--has-two-columns-expand-first">
+            <template id="category-count">
+              <div data-tp-category-name></div>
+              <div class="tp-text tp-text--align-end" data-tp-food-count></div>
+            </template>
+          </div>
+        </div>
+        <div class="tp-page__content">
+          <!--suppress HtmlFormInputWithoutLabel -->
+          <select id="week-group-select" class="tp-form__select" aria-label="Group entries">
+            <option value="food">Group by food</option>
+            <option value="meal">Group by meal</option>
+          </select>
+        </div>
         <div id="food-entries" class="tp-page__content tp-page__content--is-scrollable tp-grid tp-grid--has-three-columns-expand-first">
           <template id="food-entry">
             <div data-tp-food-name></div>
             <div data-tp-category-name></div>
             <div>
+              <button
+                class="tp-button tp-button--is-warning"
+                data-tp-remap-button
+                aria-label="Select the food to use"
+              >
+                ⇄
+              </button>
               <button class="tp-button" data-tp-expand-button>
                 ▼
               </button>
@@ -324,18 +726,63 @@ function timestamped(string $filename): string
               </button>
             </div>
             <div
-              class="tp-grid__child-grid tp-grid--has-two-columns-expand-second tp-grid--align-baseline"
+              class="tp-grid__child-grid tp-grid--has-three-columns-expand-second tp-grid--align-baseline"
+              data-tp-food-history-entries>
+            </div>
+          </template>
+          <template id="meal-entry">
+            <div class="tp-text tp-text--is-medium" data-tp-meal-name></div>
+            <div class="tp-text tp-text--is-small" data-tp-food-count></div>
+            <div></div>
+            <div
+              class="tp-grid__child-grid tp-grid--has-three-columns-expand-second tp-grid--align-baseline"
               data-tp-food-history-entries>
             </div>
           </template>
           <template id="food-history-entry">
             <div class="tp-grid__label tp-text tp-text--is-small" data-tp-food-history-date></div>
             <div class="tp-text tp-text--truncate" data-tp-food-history-name></div>
+            <div>
+              <button
+                class="tp-button"
+                data-tp-edit-date-button
+                aria-label="Change the date and time"
+              >
+                🕓
+              </button>
+              <button
+                class="tp-button"
+                data-tp-change-food-button
+                aria-label="Select another food"
+              >
+                ⇄
+              </button>
+              <button
+                class="tp-button tp-button--is-danger"
+                data-tp-delete-button
+                aria-label="Delete the entry"
+              >
+                ✕
+              </button>
+            </div>
+            <div class="tp-grid__child-grid tp-grid--has-three-columns-expand-first" data-tp-date-editor>
+              <input type="datetime-local" class="tp-form__input tp-form__input--is-wide" data-tp-date-input />
+              <button class="tp-button" data-tp-save-button aria-label="Save the date and time">
+                ✓
+              </button>
+              <button class="tp-button" data-tp-cancel-button aria-label="Cancel">
+                ✕
+              </button>
+            </div>
           </template>
         </div>
       </section>
 
     </main>
+    <div id="toast" class="tp-toast tp-hidden" role="status">
+      <span id="toast-message" class="tp-text--truncate"></span>
+      <button id="toast-action-button" class="tp-button"></button>
+    </div>
     <script src="<?= timestamped('js/bundle.min.js') ?>" type="module"></script>
   </body>
 </html>
@@ -0,0 +1,88 @@
+<?php
+
+require_once __DIR__.'/functions.php';
+
+// the files that make up the application shell, using the same urls as the page requests them
+$shellFiles = [
+  './',
+  timestamped('css/main.css'),
+  timestamped('js/bundle.min.js'),
+  'manifest.json',
+  'favicon.png',
+  'img/icon.svg',
+  'img/background.jpg',
+];
+
+// the files that determine the version of the cache
+$versionFiles = [
+  'index.php',
+  'css/main.css',
+  'js/bundle.min.js',
+  'manifest.json',
+  'favicon.png',
+  'img/icon.svg',
+  'img/background.jpg',
+];
+
+// the version changes whenever one of the files changes, this will install a new service worker
+$version = md5(implode(',', array_map('timestamped', $versionFiles)));
+
+header('Content-Type: application/javascript');
+header('Cache-Control: no-cache');
+
+?>
+const CACHE_PREFIX = '20foods-';
+
+const CACHE_NAME = CACHE_PREFIX + '<?= $version ?>';
+
+const SHELL_FILES = <?= json_encode($shellFiles, JSON_UNESCAPED_SLASHES) ?>;
+
+/**
+ * Precaches the application shell.
+ */
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+/**
+ * Removes caches of previous versions.
+ */
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(
+        (keys) => Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && (key !== CACHE_NAME))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Pages are retrieved from the network first so a new version is picked up, the cached shell is
+ * used when offline. Other files are served from the cache when available.
+ *
+ * Requests to other origins (like the food catalog) are not handled.
+ */
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if ((request.method !== 'GET') || (new URL(request.url).origin !== self.location.origin)) {
+    return;
+  }
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('./'))
+    );
+    return;
+  }
+  event.respondWith(
+    caches.match(request).then((cached) => cached || fetch(request))
+  );
+});